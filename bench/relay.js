@@ -0,0 +1,82 @@
+/* jshint node:true */
+
+'use strict';
+
+//Relay throughput in rooms of different sizes
+//Sockets are stand-ins so the numbers measure the signaler, not socket.io or the network
+//Run with: node bench/relay.js [relays per room size]
+
+var signaler = require('../signaler');
+
+var sizes = [10, 100, 1000, 5000, 10000],
+  relays = parseInt(process.argv[2], 10) || 200000,
+  candidate = {
+    candidate: 'candidate:842163049 1 udp 1677729535 203.0.113.7 46154 typ srflx raddr 0.0.0.0 rport 0 generation 0',
+    sdpMid: '0',
+    sdpMLineIndex: 0
+  },
+  delivered = 0;
+
+function noop() {}
+
+//Just enough of a socket.io socket for joining rooms and receiving messages
+function createSocket(index) {
+  return {
+    id: 'socket' + index,
+    peerId: 'peer' + index,
+    connected: true,
+    session: {
+      metadata: {}
+    },
+    emit: function () {
+      delivered++;
+    },
+    join: noop,
+    leave: noop,
+    broadcast: {
+      to: function () {
+        return {
+          emit: noop
+        };
+      }
+    }
+  };
+}
+
+function run(size) {
+  var server = signaler.createSignalerServer(null, {
+      rateLimit: false
+    }),
+    sockets = [],
+    start,
+    elapsed,
+    i;
+
+  server.createRoom('bench');
+
+  for (i = 0; i < size; i++) {
+    sockets.push(createSocket(i));
+    server.joinRoom(sockets[i], 'bench');
+  }
+
+  delivered = 0;
+  start = process.hrtime();
+
+  //Every relay goes from one member to another picked across the whole room
+  for (i = 0; i < relays; i++) {
+    server.relay(sockets[i % size], 'icecandidate', sockets[(i * 7919 + 1) % size].peerId, candidate, noop);
+  }
+
+  elapsed = process.hrtime(start);
+  elapsed = elapsed[0] + elapsed[1] / 1e9;
+
+  if (delivered !== relays) {
+    throw new Error('Delivered ' + delivered + ' of ' + relays + ' relays');
+  }
+
+  console.log(('      ' + size).slice(-6) + ' members: ' +
+    Math.round(relays / elapsed) + ' relays/s (' + (elapsed * 1e6 / relays).toFixed(2) + ' us each)');
+}
+
+console.log('Relaying ' + relays + ' ICE candidates per room size');
+sizes.forEach(run);
@@ -1,4 +1,4 @@
-/* globals define, module, require */
+/* globals define, module, require, Promise */
 /** 
  * Socket Signaler Client
  * Version: 0.0.1
@@ -19,35 +19,197 @@
 }(this, function factory(window, EventEmitter, io) {
   'use strict';
 
-  function PeerConnectionClient(options) {
+  //Delivery failures worth trying again
+  var retryableErrors = ['disconnected', 'timeout', 'ratelimited'];
 
-    this.peerConnections = [];
+  //Longest delay setTimeout can wait, anything longer fires right away
+  var maxTimerDelay = 2147483647;
 
-    if (navigator.mozGetUserMedia) {
-      //Set constraints to properly negotiate connection
-      this.constraints = {
-        offerToReceiveAudio: true,
-        offerToReceiveVideo: true
-      };
-    } else {
-      //Set constraints to properly negotiate connection
-      this.constraints = {
-        mandatory: {
-          OfferToReceiveAudio: true,
-          OfferToReceiveVideo: true
+  //Error a sendSignal promise rejects with, carrying the server's { code, message }
+  function signalError(type, target, result) {
+    var error = new Error(result.message);
+    error.code = result.code;
+    error.type = type;
+    error.target = target;
+    return error;
+  }
+
+  //Socket and PeerConnection handlers have nobody to hand a promise to,
+  //and the failures are already logged and emitted by the time they reject
+  function unawaited(fn, context) {
+    return function () {
+      var result = fn.apply(context, arguments);
+      if (result && typeof result.catch === 'function') {
+        result.catch(function () {});
+      }
+    };
+  }
+
+  //What a stream carries, 'video' if it has any video and 'audio' otherwise
+  function streamKind(stream) {
+    return stream.getVideoTracks().length ? 'video' : 'audio';
+  }
+
+  //Most to least severe, a logger set to a level writes it and everything above it
+  var logLevels = {
+    silent: -1,
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3,
+    trace: 4
+  };
+
+  //Where records go, each is called with { time, level, module, message, ...fields }
+  var logSinks = {
+    //Browser console, with the fields as an object to inspect
+    console: function (record) {
+      var method = record.level === 'error' || record.level === 'warn' ? record.level : 'log',
+        fields = {},
+        hasFields = false;
+
+      Object.keys(record).forEach(function (key) {
+        if (['time', 'level', 'module', 'message'].indexOf(key) === -1) {
+          fields[key] = record[key];
+          hasFields = true;
+        }
+      });
+
+      if (hasFields) {
+        console[method]('[' + record.module + '] ' + record.message, fields);
+      } else {
+        console[method]('[' + record.module + '] ' + record.message);
+      }
+    },
+
+    //One JSON string per record, for pages that ship their console elsewhere
+    json: function (record) {
+      var line;
+
+      try {
+        line = JSON.stringify(record);
+      } catch (e) {
+        line = JSON.stringify({
+          time: record.time,
+          level: record.level,
+          module: record.module,
+          message: record.message
+        });
+      }
+
+      console.log(line);
+    }
+  };
+
+  //Logger writing records at or above opts.level to opts.sink, 'console', 'json' or a function
+  //opts.modules sets the level for single modules, e.g. { ice: 'trace' }
+  function createLogger(opts) {
+    var write = [].concat(opts.sink).map(function (sink) {
+      if (typeof sink === 'function') {
+        return sink;
+      }
+      if (!logSinks[sink]) {
+        throw new Error('Unknown log sink ' + sink + ', use console, json or a function');
+      }
+      return logSinks[sink];
+    });
+
+    [opts.level].concat(Object.keys(opts.modules).map(function (module) {
+      return opts.modules[module];
+    })).forEach(function (level) {
+      if (!logLevels.hasOwnProperty(level)) {
+        throw new Error('Unknown log level ' + level + ', use one of ' + Object.keys(logLevels).join(', '));
+      }
+    });
+
+    function create(module) {
+      var threshold = logLevels[opts.modules[module] || opts.level],
+        logger;
+
+      logger = {
+        module: module,
+
+        enabled: function (level) {
+          return logLevels[level] <= threshold;
+        },
+
+        log: function (level, message, fields) {
+          var record = {
+            time: new Date().toISOString(),
+            level: level,
+            module: module,
+            message: message
+          };
+
+          if (!this.enabled(level)) {
+            return;
+          }
+
+          Object.keys(fields || {}).forEach(function (key) {
+            record[key] = fields[key];
+          });
+
+          write.forEach(function (sink) {
+            try {
+              sink(record);
+            } catch (e) {
+              //A broken sink shouldn't break the call
+            }
+          });
         },
+
+        child: function (childModule) {
+          return create(childModule);
+        }
       };
+
+      Object.keys(logLevels).forEach(function (level) {
+        if (level !== 'silent') {
+          logger[level] = function (message, fields) {
+            logger.log(level, message, fields);
+          };
+        }
+      });
+
+      return logger;
     }
 
-    //Declare our public STUN server
-    this.iceServers = {
-      'iceServers': [{
-        'url': 'stun:stun.services.mozilla.com'
-      }, {
-        'url': 'stun:stun.l.google.com:19302'
-      }]
+    return create('client');
+  }
+
+  function PeerConnectionClient(options) {
+
+    this.peerConnections = [];
+
+    //Tracks we send to every peer, as { track, stream }
+    this.localTracks = [];
+
+    //Streams we publish by label, as { stream, label, kind, metadata }
+    //Peers get what each of them is with every offer and answer we send
+    this.publishedStreams = {};
+
+    //Offer options, so we can receive media from peers that aren't sending us any yet
+    this.constraints = {
+      offerToReceiveAudio: true,
+      offerToReceiveVideo: true
     };
 
+    //Public STUN servers for when neither the server nor our options give any
+    var defaultIceServers = [{
+      'urls': 'stun:stun.services.mozilla.com'
+    }, {
+      'urls': 'stun:stun.l.google.com:19302'
+    }];
+
+    //Configuration every new RTCPeerConnection gets, see setIceServers
+    this.iceServers = null;
+
+    //Loggers for each part of the client, created from our options below
+    var log = {};
+
+    //{ server, room, attempts } while we're leaving a server that is shutting down
+    this.draining = null;
+
     //Set up our prefixed defaults
     this.setupRTCObjects = function () {
       //PeerConnection
@@ -66,23 +228,259 @@
     //Generate our option defaults
     this.generateDefaults = function (options) {
       options = options || {};
-      options.server = options.server || 'http://' + window.location.host + '/';
+      //Pages served over HTTPS can only reach the signaler over HTTPS and secure WebSockets
+      options.secure = typeof options.secure === 'boolean' ? options.secure : window.location.protocol === 'https:';
+      options.server = options.server || (options.secure ? 'https://' : 'http://') + window.location.host + '/';
+      //Socket.IO wants the HTTP form of the address and upgrades to ws:// or wss:// by itself
+      options.server = options.server.replace(/^ws(s?):\/\//, 'http$1://');
       options.room = options.room || 'default';
+      //Namespace on the server, defaults to the room name for single-room servers
+      options.namespace = options.namespace || options.room;
       options.debug = options.debug || false;
+      //The debug option is a shorthand for a log level, logLevel wins if both are given
+      options.logLevel = options.logLevel || (options.debug === 'verbose' ? 'trace' : options.debug ? 'debug' : 'warn');
+      options.logSink = options.logSink || 'console';
+      options.logModules = options.logModules || {};
+      options.metadata = options.metadata || {};
+      options.ackTimeout = options.ackTimeout || 10000;
+      options.maxRetries = typeof options.maxRetries === 'number' ? options.maxRetries : 3;
+      options.retryDelay = options.retryDelay || 500;
+      //Wait before reconnecting to a server that is shutting down without sending us elsewhere
+      options.reconnectDelay = options.reconnectDelay || 1000;
+      //ICE servers to use when the signaling server doesn't send any
+      options.iceServers = options.iceServers || defaultIceServers;
       return options;
     };
 
+    //Use the ICE servers the signaling server gave us, or our own if it gave none
+    //ttl is how many seconds their credentials last, we ask for new ones before then
+    this.setIceServers = function (iceServers, ttl) {
+      this.iceServers = {
+        'iceServers': iceServers && iceServers.length ? iceServers : options.iceServers
+      };
+      if (iceServers && iceServers.length) log.ice.debug('Using ICE servers from the signaling server', {
+          count: iceServers.length,
+          ttl: ttl
+        });
+
+      clearTimeout(this.iceServersTimer);
+      if (ttl) {
+        this.iceServersTimer = setTimeout(this.refreshIceServers.bind(this), Math.min(ttl * 800, maxTimerDelay));
+      }
+    };
+
+    //Ask the server for new TURN credentials and hand them to our open connections too,
+    //so they can keep relaying after the old ones expire
+    this.refreshIceServers = function () {
+      this.socket.emit('geticeservers', function (result) {
+        if (!result || !result.iceServers) {
+          return;
+        }
+        this.setIceServers(result.iceServers, result.ttl);
+        this.peerConnections.forEach(function (peer) {
+          if (peer.connection.setConfiguration) {
+            peer.connection.setConfiguration(this.iceServers);
+          }
+        }, this);
+        this.emit('iceServersRefreshed', result.iceServers);
+        log.ice.debug('Refreshed ICE servers');
+      }.bind(this));
+    };
+
+    //Connect to the signaling server, passing our token along with the handshake if it needs one
+    //fresh leaves the connection to a server we're moving away from instead of reusing it
+    this.connect = function (fresh) {
+      if (this.socket) {
+        this.socket.off();
+        this.socket.close();
+      }
+
+      this.socket = io(options.server + options.namespace, {
+        query: this.buildQuery(),
+        forceNew: !!fresh
+      });
+
+      this.bindEvents();
+    };
+
     //Set up our event handlers
     this.bindEvents = function () {
-      this.socket.on('initialized', this.getPeerList.bind(this));
+      this.socket.on('initialized', this.initialized.bind(this));
+      this.socket.on('joined', this.roomJoined.bind(this));
+      this.socket.on('joinerror', this.joinFailed.bind(this));
+      this.socket.on('left', this.roomLeft.bind(this));
+      this.socket.on('roomclosed', this.roomClosed.bind(this));
+      this.socket.on('kicked', this.kicked.bind(this));
+      this.socket.on('systemmessage', this.systemMessage.bind(this));
       this.socket.on('list', this.generateConnections.bind(this));
-      this.socket.on('offer', this.createAnswer.bind(this));
-      this.socket.on('answer', this.handleAnswer.bind(this));
-      this.socket.on('icecandidate', this.receiveIceCandidate.bind(this));
-      this.socket.on('newconnection', this.addPeer.bind(this));
-      this.socket.on('disconnect', this.disconnectConnection.bind(this));
+      this.socket.on('offer', unawaited(this.createAnswer, this));
+      this.socket.on('answer', unawaited(this.handleAnswer, this));
+      this.socket.on('icecandidate', unawaited(this.receiveIceCandidate, this));
+      this.socket.on('newconnection', this.peerJoined.bind(this));
+      this.socket.on('metadataupdated', this.metadataUpdated.bind(this));
+      this.socket.on('disconnect', this.peerLeft.bind(this));
+      this.socket.on('disconnect', this.socketDisconnected.bind(this));
+      this.socket.on('serverdraining', this.serverDraining.bind(this));
+      this.socket.on('reconnect_attempt', this.prepareResume.bind(this));
       this.socket.on('peerconnected', this.peerConnected.bind(this));
       this.socket.on('streamremoved', this.removeRemoteStream.bind(this));
+      this.socket.on('relayerror', this.relayError.bind(this));
+      this.socket.on('invalidmessage', this.invalidMessage.bind(this));
+      this.socket.on('ratelimited', this.rateLimited.bind(this));
+      this.socket.on('error', this.connectionError.bind(this));
+    };
+
+    //Server has placed us in its default room - move to the requested one if it differs
+    //If we got our old session back after a reconnect, our peers never noticed we left
+    this.initialized = function (data) {
+      var resumed = data.resumed && data.id === this.id;
+
+      this.setIceServers(data.iceServers, data.iceServersTtl);
+      this.draining = null;
+      this.id = data.id;
+      this.resumeToken = data.token;
+      this.metadata = data.metadata;
+
+      if (resumed) {
+        this.room = data.room;
+        this.emit('sessionResumed', data.id);
+        log.signaling.info('Resumed session', {
+          peer: data.id
+        });
+        //Catch up on anyone who came or went while we were away
+        this.getPeerList();
+        return;
+      }
+
+      //A new identity means every existing connection points at a peer who no longer knows us
+      this.disconnectAll();
+
+      if (data.room !== options.room) {
+        this.joinRoom(options.room);
+      } else {
+        this.room = data.room;
+        this.getPeerList();
+      }
+    };
+
+    //Ask the server to move us to another room
+    this.joinRoom = function (room) {
+      if (room === this.room) return;
+      log.signaling.debug('Joining room', {
+        room: room
+      });
+      this.socket.emit('join', room);
+    };
+
+    //Leave the current room without disconnecting from the server
+    this.leaveRoom = function () {
+      log.signaling.debug('Leaving room', {
+        room: this.room
+      });
+      this.socket.emit('leave');
+    };
+
+    //Server confirmed our new room, drop the old peers and connect to the new ones
+    this.roomJoined = function (data) {
+      this.setIceServers(data.iceServers, data.iceServersTtl);
+      this.disconnectAll();
+      this.room = data.room;
+      this.emit('roomJoined', data.room);
+      log.signaling.info('Joined room', {
+        room: data.room
+      });
+      this.getPeerList();
+    };
+
+    //Server couldn't move us, we stay in the room we were in
+    this.joinFailed = function (error) {
+      log.signaling.warn('Could not join room', {
+        room: error.room,
+        code: error.code,
+        error: error.message
+      });
+      this.emit('joinFailed', error);
+    };
+
+    //Server confirmed we left our room
+    this.roomLeft = function (data) {
+      this.disconnectAll();
+      this.room = undefined;
+      this.emit('roomLeft', data.room);
+      log.signaling.info('Left room', {
+        room: data.room
+      });
+    };
+
+    //Server closed our room and is about to disconnect us
+    //When it is shutting down we keep our peers until the next server gives us a new identity
+    this.roomClosed = function (data) {
+      if (this.draining) return;
+      this.disconnectAll();
+      this.room = undefined;
+      this.emit('roomClosed', data.room, data.reason);
+      log.signaling.info('Room closed by server', {
+        room: data.room
+      });
+    };
+
+    //A moderator removed us, the server closes the socket right after
+    this.kicked = function (data) {
+      this.disconnectAll();
+      this.room = undefined;
+      this.emit('kicked', data.reason);
+      log.signaling.warn('Kicked by the server', {
+        reason: data.reason
+      });
+    };
+
+    //Server is shutting down and will disconnect us once negotiations in progress are done
+    //data.server is where to go instead, otherwise we come back to the same address
+    this.serverDraining = function (data) {
+      this.draining = {
+        server: data.server || null,
+        room: this.room,
+        attempts: 0
+      };
+      this.emit('serverDraining', data.server || null, data.reason || null);
+      log.signaling.info('Server is draining', {
+        server: data.server,
+        reason: data.reason
+      });
+    };
+
+    //Our own socket closed, which Socket.IO reports under the same event name as a peer leaving
+    //Only a server that told us it's draining is left for another
+    this.socketDisconnected = function (reason) {
+      if (this.draining && reason === 'io server disconnect') {
+        this.moveServer();
+      }
+    };
+
+    //Leave a draining server for the one it named and rejoin our room there
+    //Without one, wait for the same address to be served by a new instance, backing off each time
+    this.moveServer = function () {
+      var server = this.draining.server ? this.draining.server.replace(/^ws(s?):\/\//, 'http$1://') : options.server,
+        delay = this.draining.server && !this.draining.attempts ? 0 : Math.min(options.reconnectDelay * Math.pow(2, this.draining.attempts), 30000);
+
+      this.draining.attempts++;
+      options.server = server;
+      if (this.draining.room) {
+        options.room = this.draining.room;
+      }
+
+      clearTimeout(this.iceServersTimer);
+      log.signaling.info('Moving to another server', {
+        server: server,
+        delay: delay
+      });
+
+      setTimeout(this.connect.bind(this, true), delay);
+    };
+
+    //Announcement from the server to everyone in our room
+    this.systemMessage = function (data) {
+      this.emit('systemMessage', data.message, data.data, data.sentAt);
     };
 
     //Request our list of peers - all other users connected to the socket.io room
@@ -91,79 +489,217 @@
     };
 
     //Generate our PeerConnections for each user received by getPeerList
+    //Each entry is { id, metadata }
     this.generateConnections = function (peers) {
-      if (options.debug) console.log('Received list, creating connection(s) for ' + peers.length + ' peers');
+      var ids = peers.map(function (peer) {
+        return peer.id;
+      });
+
+      log.negotiation.debug('Received peer list, creating connections', {
+        count: peers.length
+      });
+
+      //Drop anyone we still have a connection to who isn't in the room anymore
+      this.peerConnections.filter(function (peer) {
+        return ids.indexOf(peer.id) === -1;
+      }).forEach(function (peer) {
+        this.disconnectConnection(peer.id);
+      }.bind(this));
+
       //Create a new connection for each peer
-      peers.forEach(this.addPeer.bind(this));
+      peers.forEach(function (data) {
+        this.addPeer(data.id);
+        this.getPeer(data.id).metadata = data.metadata || {};
+      }.bind(this));
+
+      this.emitRoster();
+    };
+
+    //A new peer joined our room
+    this.peerJoined = function (data) {
+      this.addPeer(data.id);
+      this.getPeer(data.id).metadata = data.metadata || {};
+      this.emitRoster();
+    };
+
+    //Someone in our room changed their metadata, possibly us
+    this.metadataUpdated = function (data) {
+      if (data.id === this.id) {
+        this.metadata = data.metadata;
+      } else if (this.hasPeer(data.id)) {
+        this.getPeer(data.id).metadata = data.metadata;
+      } else {
+        return;
+      }
+
+      this.emit('metadataUpdated', data.id, data.metadata);
+      this.emitRoster();
+    };
+
+    //Change what the rest of the room knows about us
+    //Keys set to null are removed, everything else is merged into our current metadata
+    this.updateMetadata = function (patch) {
+      this.socket.emit('updatemetadata', patch);
+    };
+
+    //Everyone in our room and what they've told us about themselves
+    this.getRoster = function () {
+      return this.peerConnections.map(function (peer) {
+        return {
+          id: peer.id,
+          metadata: peer.metadata || {}
+        };
+      });
+    };
+
+    //Let the app know the roster changed
+    this.emitRoster = function () {
+      this.emit('roster', this.getRoster());
+    };
+
+    //Server says a peer left our room
+    //Socket.IO also fires disconnect with a reason when our own socket drops, which is not a peer
+    this.peerLeft = function (id) {
+      if (this.hasPeer(id)) {
+        this.disconnectConnection(id);
+        this.emitRoster();
+      }
+    };
+
+    //Present our peer ID and resume token when socket.io reconnects so we keep our identity
+    this.prepareResume = function () {
+      if (!this.id) return;
+      this.socket.io.opts.query = this.buildQuery({
+        peerId: this.id,
+        resume: this.resumeToken
+      });
+    };
+
+    //Query string for the connection handshake
+    this.buildQuery = function (params) {
+      params = params || {};
+      if (options.token) {
+        params.token = options.token;
+      }
+      if (this.metadata) {
+        params.metadata = JSON.stringify(this.metadata);
+      }
+      return Object.keys(params).map(function (key) {
+        return key + '=' + encodeURIComponent(params[key]);
+      }).join('&');
     };
 
     //Add a peer to our connections, initializing the PeerConnection object
     //and sending an offer if we are currently broadcasting
-    this.addPeer = function (id, suppress) {
+    this.addPeer = function (id) {
 
       if (!this.hasPeer(id)) {
-        console.log('Adding peer: ' + id);
+        log.negotiation.debug('Adding peer', {
+          peer: id
+        });
 
         //Create new peer
+        //queue runs its offers and answers one after the other and pendingCandidates holds ICE
+        //candidates that arrive before the remote description they belong to
+        //senders are ours by track ID, remoteTracks and remoteStreams what the peer sends us by ID
+        //and streams what the peer told us each of its streams is
         var peer = {
           connection: new this.PeerConnection(this.iceServers),
           id: id,
+          queue: Promise.resolve(),
+          pendingCandidates: [],
+          senders: {},
+          remoteTracks: {},
+          remoteStreams: {},
+          streams: {}
         };
 
         //Bind events
-        peer = this.bindConnectionEvents(peer, suppress);
+        peer = this.bindConnectionEvents(peer);
 
         //Add peer to array of connections
         this.peerConnections.push(peer);
 
-        //If we are currently broadcasting, broadcast our stream to the newly added peer
-        if (this.localStream) {
-          this.addStreamToPeer(this.localStream, peer);
-        }
+        //If we are currently broadcasting, broadcast our tracks to the newly added peer
+        this.localTracks.forEach(function (local) {
+          this.addTrackToPeer(local.track, local.stream, peer);
+        }, this);
         return peer;
       }
 
     };
 
     //Bind our PeerConnection events
-    //Not using "onremovestream" because it seems to be in a buggy state - 
-    //returning nonexistant remote connections on renegotiation
-    this.bindConnectionEvents = function (peer, suppress) {
-      if (options.debug) console.log('Binding connection events for peer: ' + peer.id);
+    this.bindConnectionEvents = function (peer) {
+      log.negotiation.trace('Binding connection events', {
+        peer: peer.id
+      });
 
       //Send ice candidate to peer
       peer.connection.onicecandidate = function (event) {
-        if (options.debug && options.debug === 'verbose') console.log('Sending ICE candidate to ' + peer.id);
-        if (options.debug && options.debug === 'verbose') console.log('Full event ', event);
-        if (options.debug && options.debug === 'verbose') console.log('Stringified event ', JSON.stringify(event));
-
-        console.log(Object.keys(event));
-
         if (event.candidate) {
-          this.socket.emit('icecandidate', {
+          log.ice.trace('Sending ICE candidate', {
+            peer: peer.id,
+            candidate: event.candidate.candidate
+          });
+          this.sendSignal('icecandidate', {
             target: peer.id,
             candidate: event.candidate
           });
         }
-
-
       }.bind(this);
 
-      //When connection succeeds after stream is added, proxy event
-      peer.connection.onaddstream = function (event) {
-        //Checking suppress because if a connection is renegotiated and the remote maintains a 
-        //stream, onaddstream will be fired twice
-        if (options.debug) console.log('Remote stream added from ' + peer.id);
-        if (!suppress) {
-          this.emit('remoteStreamAdded', event.stream, peer.id);
-        } else {
-          if (options.debug) console.log('onaddstream event suppressed');
+      //A track the peer sends us arrived with a negotiation, proxy events
+      //The first track of a stream also announces the stream
+      peer.connection.ontrack = function (event) {
+        var track = event.track,
+          stream = event.streams && event.streams[0] ? event.streams[0] : null;
+
+        if (peer.remoteTracks[track.id]) return;
+        peer.remoteTracks[track.id] = track;
+
+        log.media.debug('Remote track added', {
+          peer: peer.id,
+          kind: track.kind
+        });
+
+        track.onmute = function () {
+          this.emit('remoteTrackMuted', track, peer.id);
+        }.bind(this);
+        track.onunmute = function () {
+          this.emit('remoteTrackUnmuted', track, peer.id);
+        }.bind(this);
+        track.onended = function () {
+          this.remoteTrackRemoved(peer, track);
+        }.bind(this);
+
+        this.emit('remoteTrackAdded', track, stream, peer.id);
+
+        if (stream && !peer.remoteStreams[stream.id]) {
+          peer.remoteStreams[stream.id] = stream;
+          //The peer took the track out, which comes to us as a renegotiation
+          stream.onremovetrack = function (removed) {
+            this.remoteTrackRemoved(peer, removed.track);
+          }.bind(this);
+          log.media.debug('Remote stream added', {
+            peer: peer.id,
+            label: this.describeRemoteStream(peer, stream).label
+          });
+          this.emit('remoteStreamAdded', stream, peer.id, this.describeRemoteStream(peer, stream));
+          this.updateScreenShare(peer);
         }
       }.bind(this);
 
+      //Adding or removing a stream needs a new offer, the browser tells us when
+      peer.connection.onnegotiationneeded = unawaited(function () {
+        return this.createOffer(peer);
+      }, this);
+
       //Untested
       peer.connection.ondatachannel = function (event) {
-        if (options.debug) console.log('Data channel added from ' + peer.id);
+        log.media.debug('Data channel added', {
+          peer: peer.id
+        });
         this.emit('dataChannelAdded', event.channel, peer.id);
       }.bind(this);
 
@@ -185,90 +721,197 @@
       return peer;
     };
 
-    //Create our offer and set our local session description
-    this.createOffer = function (peer) {
+    //Run a negotiation step for a peer once the ones before it are done, so descriptions are
+    //never set out of order. Resolves or rejects with the step's result
+    this.queueNegotiation = function (peer, step) {
+      var result = peer.queue.then(step.bind(this));
 
-      if (options.debug) console.log('Creating offer for: ' + peer.id);
+      //A failed step doesn't hold up the ones after it
+      peer.queue = result.catch(function () {});
 
-      //Create our offer
-      peer.connection.createOffer(function (offer) {
+      return result;
+    };
 
-        //Set local description from offer
-        peer.connection.setLocalDescription(new this.SessionDescription(offer),
+    //A step of the negotiation with a peer failed in the browser
+    //Logs and emits negotiationFailed, then rejects with the error
+    this.negotiationError = function (peer, type, error) {
+      this.logError('Could not negotiate ' + type + ' with ' + peer.id + ': ' + error.message);
+      this.emit('negotiationFailed', peer.id, {
+        type: type,
+        code: error.name || 'failed',
+        message: error.message
+      });
+      throw error;
+    };
 
-          //Send offer
-          this.sendOffer({
-            target: peer.id,
-            offer: offer
-          }), this.logError);
+    //Add ICE candidates that came before the remote description was set
+    this.flushCandidates = function (peer) {
+      var candidates = peer.pendingCandidates;
+
+      peer.pendingCandidates = [];
 
-        //Pass constraints 
-      }.bind(this), this.logError, this.constraints);
+      return Promise.all(candidates.map(function (candidate) {
+        return this.addIceCandidate(peer, candidate);
+      }, this));
+    };
+
+    //Whether we give way when our offer collides with a peer's
+    //Both sides work it out the same way: the peer with the lower ID is polite
+    this.isPolite = function (peer) {
+      return this.id < peer.id;
+    };
+
+    //Create our offer, set it as our local description and send it
+    //Resolves with the offer once the server has delivered it, or with null if another
+    //negotiation is still going on. The browser asks for the offer again once it's done
+    this.createOffer = function (peer) {
+      return this.queueNegotiation(peer, function () {
+        if (peer.connection.signalingState !== 'stable') {
+          log.negotiation.debug('Offer deferred until the current negotiation is done', {
+            peer: peer.id,
+            state: peer.connection.signalingState
+          });
+          return null;
+        }
+
+        log.negotiation.debug('Creating offer', {
+          peer: peer.id
+        });
+
+        return peer.connection.createOffer(this.constraints).then(function (offer) {
+          return peer.connection.setLocalDescription(offer);
+        }).then(function () {
+          return peer.connection.localDescription;
+        }).catch(this.negotiationError.bind(this, peer, 'offer')).then(function (offer) {
+          return this.sendOffer({
+            target: peer.id,
+            offer: {
+              type: offer.type,
+              sdp: offer.sdp,
+              streams: this.describeStreams()
+            }
+          }).then(function () {
+            return offer;
+          });
+        }.bind(this));
+      });
     };
 
     //Send offer to server
+    //Resolves once the server has delivered it
     this.sendOffer = function (offer) {
-      if (options.debug) console.log('Sending offer to ' + offer.target);
-      this.socket.emit('offer', offer);
+      log.negotiation.debug('Sending offer', {
+        peer: offer.target
+      });
+      return this.sendSignal('offer', offer);
     };
 
-    //Set remote and local session description
+    //Take an offer from a peer as our remote description, then create, set and send our answer
+    //If we sent the peer an offer at the same time, the impolite side of the pair ignores the
+    //peer's offer and waits for its answer, while the polite side rolls its own offer back
+    //Resolves with the answer once the server has delivered it, or with null if ignored
     this.createAnswer = function (data) {
 
-      //Retreive peer from this.peerConnections and set offer
-      var peer = this.getPeer(data.sender),
-        offer = data.offer;
+      //Retreive peer from this.peerConnections
+      var peer = this.getPeer(data.sender);
 
-      if (options.debug) console.log('Creating answer for ' + peer.id);
+      return this.queueNegotiation(peer, function () {
+        var collision = peer.connection.signalingState !== 'stable',
+          ready = Promise.resolve();
 
-      //Set remote description from offer
-      peer.connection.setRemoteDescription(new this.SessionDescription(offer), function () {
-
-        //Callback after remote description set
-        peer.connection.createAnswer(function (answer) {
-
-          //Callback after answer created to set the local description
-          peer.connection.setLocalDescription(new this.SessionDescription(answer),
-            //Send answer back to peer
-            this.sendAnswer({
-              target: peer.id,
-              answer: answer
-            }), this.logError);
+        if (collision && !this.isPolite(peer)) {
+          log.negotiation.debug('Ignoring colliding offer', {
+            peer: peer.id
+          });
+          return null;
+        }
 
-          //Set constraints for answer
-        }.bind(this), this.logError, this.constraints);
+        if (collision) {
+          log.negotiation.debug('Rolling back our offer for a colliding one', {
+            peer: peer.id
+          });
+          ready = peer.connection.setLocalDescription({
+            type: 'rollback'
+          });
+        }
 
-        //Error logging for setRemoteDescription
-      }.bind(this), this.logError);
+        log.negotiation.debug('Creating answer', {
+          peer: peer.id
+        });
+
+        //Before the offer's tracks arrive, so they can be told apart
+        this.receiveStreams(peer, data.offer.streams);
+
+        return ready.then(function () {
+          return peer.connection.setRemoteDescription(new this.SessionDescription(data.offer));
+        }.bind(this)).then(function () {
+          return this.flushCandidates(peer);
+        }.bind(this)).then(function () {
+          return peer.connection.createAnswer();
+        }).then(function (answer) {
+          return peer.connection.setLocalDescription(answer);
+        }).then(function () {
+          return peer.connection.localDescription;
+        }).catch(this.negotiationError.bind(this, peer, 'answer')).then(function (answer) {
+          return this.sendAnswer({
+            target: peer.id,
+            answer: {
+              type: answer.type,
+              sdp: answer.sdp,
+              streams: this.describeStreams()
+            }
+          }).then(function () {
+            return answer;
+          });
+        }.bind(this));
+      });
     };
 
     //Send answer to server
+    //Resolves once the server has delivered it
     this.sendAnswer = function (answer) {
-      if (options.debug) console.log('Sent answer to peer: ' + answer.target);
-      this.socket.emit('answer', answer);
+      log.negotiation.debug('Sending answer', {
+        peer: answer.target
+      });
+      return this.sendSignal('answer', answer);
     };
 
-    //Handle the answer received from peer
+    //Take a peer's answer to our offer as our remote description and let it know we're connected
+    //Resolves once the peer has been told, or with null for an answer to an offer we rolled back
     this.handleAnswer = function (data) {
-      var peer = this.getPeer(data.sender),
-        answer = data.answer;
+      var peer = this.getPeer(data.sender);
 
-      if (options.debug) console.log('Handling answer from: ' + peer.id);
+      return this.queueNegotiation(peer, function () {
+        if (peer.connection.signalingState !== 'have-local-offer') {
+          log.negotiation.debug('Ignoring answer to an offer we no longer have', {
+            peer: peer.id,
+            state: peer.connection.signalingState
+          });
+          return null;
+        }
+
+        log.negotiation.debug('Handling answer', {
+          peer: peer.id
+        });
 
-      //Set remote description
-      peer.connection.setRemoteDescription(new this.SessionDescription(answer),
+        this.receiveStreams(peer, data.answer.streams);
 
-        //Trigger peer connected and emit to let peer know that we're good
-        function () {
+        return peer.connection.setRemoteDescription(new this.SessionDescription(data.answer)).then(function () {
+          return this.flushCandidates(peer);
+        }.bind(this)).catch(this.negotiationError.bind(this, peer, 'answer')).then(function () {
+          //Trigger peer connected and emit to let peer know that we're good
           this.peerConnected(peer.id);
-          this.socket.emit('peerconnected', peer.id);
-        }.bind(this), this.logError);
+          return this.sendSignal('peerconnected', peer.id);
+        }.bind(this));
+      });
     };
 
     //Event fired when our peer is connected
     this.peerConnected = function (id) {
       this.emit('peerconnected', id);
-      if (options.debug) console.log('Signaling with peer: ' + id);
+      log.negotiation.debug('Signaling with peer', {
+        peer: id
+      });
     };
 
     //Disconnect a peer
@@ -281,9 +924,16 @@
       peer.connection.close();
 
       //Proxy events out
+      Object.keys(peer.remoteTracks).forEach(function (trackId) {
+        this.remoteTrackRemoved(peer, peer.remoteTracks[trackId]);
+      }, this);
+      peer.remoteStreams = {};
+      this.updateScreenShare(peer);
       this.emit('peerDisconnected', id);
       this.emit('remoteStreamRemoved', id);
-      if (options.debug) console.log('Disconnected with peer: ' + id);
+      log.negotiation.debug('Disconnected from peer', {
+        peer: id
+      });
 
       //Remove peer from internal array
       this.peerConnections.forEach(function (peer, index, peers) {
@@ -293,6 +943,13 @@
       });
     };
 
+    //Disconnect every peer, used when switching rooms
+    this.disconnectAll = function () {
+      this.peerConnections.map(function (peer) {
+        return peer.id;
+      }).forEach(this.disconnectConnection.bind(this));
+    };
+
     //Find a peer by ID
     this.getPeer = function (id) {
       var foundPeer;
@@ -324,120 +981,575 @@
       return foundPeer;
     };
 
+    //Server turned our connection away, e.g. because our token wasn't accepted
+    //Errors from the server carry a code, anything else is a transport error
+    this.connectionError = function (error) {
+      if (error && error.code === 'draining') {
+        this.draining = this.draining || {
+          room: this.room,
+          attempts: 0
+        };
+        this.draining.server = error.server || null;
+        return this.moveServer();
+      }
+
+      if (error && error.code) {
+        log.signaling.warn('Connection rejected', {
+          code: error.code,
+          error: error.message
+        });
+        this.emit('connectionRejected', error);
+      } else {
+        this.logError(error);
+      }
+    };
+
+    //Send a message meant for one peer and wait for the server to confirm it was delivered
+    //Retries with backoff while the peer is reconnecting or we're being rate limited,
+    //and gives up on the negotiation if the message can't be delivered at all
+    //Resolves once delivered, or rejects with an error carrying the server's code
+    this.sendSignal = function (type, data, attempt) {
+      var target = typeof data === 'object' ? data.target : data,
+        answered = false,
+        timer,
+        sent;
+
+      attempt = attempt || 0;
+
+      sent = new Promise(function (resolve, reject) {
+        var settle = function (result) {
+          if (answered) return;
+          answered = true;
+          clearTimeout(timer);
+
+          if (result.delivered) return resolve(result);
+
+          if (attempt < options.maxRetries && retryableErrors.indexOf(result.code) !== -1) {
+            log.signaling.debug('Retrying message', {
+              type: type,
+              target: target,
+              reason: result.code,
+              attempt: attempt + 1
+            });
+            setTimeout(function () {
+              resolve(this.sendSignal(type, data, attempt + 1));
+            }.bind(this), options.retryDelay * Math.pow(2, attempt));
+          } else {
+            this.signalFailed(type, target, result);
+            reject(signalError(type, target, result));
+          }
+        }.bind(this);
+
+        timer = setTimeout(function () {
+          settle({
+            delivered: false,
+            code: 'timeout',
+            message: 'Server did not acknowledge ' + type
+          });
+        }, options.ackTimeout);
+
+        this.socket.emit(type, data, settle);
+      }.bind(this));
+
+      //signalFailed has reported it, ICE candidates and the like don't wait on the result
+      sent.catch(function () {});
+
+      return sent;
+    };
+
+    //A message to a peer couldn't be delivered even after retrying
+    //Offers and answers that go nowhere leave the connection half negotiated, so close it
+    this.signalFailed = function (type, target, error) {
+      this.logError('Could not send ' + type + ' to ' + target + ': ' + error.message);
+
+      if (type === 'offer' || type === 'answer' || type === 'peerconnected' || error.code === 'notfound') {
+        this.emit('negotiationFailed', target, {
+          type: type,
+          code: error.code,
+          message: error.message
+        });
+        if (this.hasPeer(target)) {
+          this.disconnectConnection(target);
+        }
+      }
+    };
+
+    //Server refused to pass one of our messages on
+    this.relayError = function (error) {
+      log.signaling.warn('Server rejected message', {
+        type: error.type,
+        target: error.target,
+        code: error.code,
+        error: error.message
+      });
+      this.emit('relayError', error);
+    };
+
+    //Server couldn't make sense of one of our messages
+    this.invalidMessage = function (error) {
+      this.logError('Server rejected ' + error.type + ': ' + error.message);
+      this.emit('invalidMessage', error);
+    };
+
+    //We're sending too much, the server is warning us or throwing messages away
+    this.rateLimited = function (data) {
+      log.signaling.warn('Rate limited', {
+        type: data.type,
+        action: data.action
+      });
+      this.emit('rateLimited', data);
+    };
+
     //Log errors
     this.logError = function (error) {
-      if (options.debug) console.error(error);
-      else console.error('There was an error with the signaller');
+      log.signaling.error(typeof error === 'string' ? error : 'Signaling error', typeof error === 'string' ? null : {
+        error: error && error.message ? error.message : error
+      });
     };
 
-    //Add stream to all connections
+    //Send every track of a stream to all connections
     this.addStream = function (stream) {
+      stream.getTracks().forEach(function (track) {
+        this.addTrack(track, stream);
+      }, this);
+    };
+
+    //Stop sending a stream to all connections, including tracks that replaced its own,
+    //and stop publishing it
+    this.removeStream = function (stream) {
+      this.localTracks.filter(function (local) {
+        return local.stream === stream;
+      }).forEach(function (local) {
+        this.removeTrack(local.track);
+      }, this);
+
+      Object.keys(this.publishedStreams).forEach(function (label) {
+        if (this.publishedStreams[label].stream === stream) {
+          delete this.publishedStreams[label];
+        }
+      }, this);
+    };
+
+    //Send a track to all connections, as part of stream if given so peers can play it with
+    //the stream's other tracks. Each connection negotiates the track with its peer by itself
+    this.addTrack = function (track, stream) {
+      if (this.findLocalTrack(track)) return;
+
+      this.localTracks.push({
+        track: track,
+        stream: stream || null
+      });
+
       this.peerConnections.forEach(function (peer) {
-        this.addStreamToPeer(stream, peer);
-      }.bind(this));
+        this.addTrackToPeer(track, stream, peer);
+      }, this);
+    };
+
+    //Add track to single connection
+    this.addTrackToPeer = function (track, stream, peer) {
+      log.media.debug('Track added', {
+        peer: peer.id,
+        kind: track.kind
+      });
+      //The connection fires negotiationneeded, which sends the new offer
+      peer.senders[track.id] = stream ? peer.connection.addTrack(track, stream) : peer.connection.addTrack(track);
+    };
+
+    //Stop sending a track to all connections, renegotiating each of them
+    //The track itself keeps running, stop it if it's no longer needed
+    this.removeTrack = function (track) {
+      var local = this.findLocalTrack(track);
+
+      if (!local) return;
+      this.localTracks.splice(this.localTracks.indexOf(local), 1);
+
+      this.peerConnections.forEach(function (peer) {
+        var sender = peer.senders[track.id];
+
+        if (!sender) return;
+        delete peer.senders[track.id];
+
+        log.media.debug('Track removed', {
+          peer: peer.id,
+          kind: track.kind
+        });
+        //The connection fires negotiationneeded, which sends the new offer
+        peer.connection.removeTrack(sender);
+      });
     };
 
-    //Add stream to single connection
-    this.addStreamToPeer = function (stream, peer) {
-      if (options.debug) console.log('Stream added to ' + peer.id);
-      peer.connection.addStream(stream);
+    //Send newTrack in place of oldTrack, e.g. to switch cameras, without renegotiating
+    //Resolves once every connection sends the new track
+    this.replaceTrack = function (oldTrack, newTrack) {
+      var local = this.findLocalTrack(oldTrack);
+
+      if (!local) {
+        return Promise.reject(new Error('Track ' + oldTrack.id + ' is not being sent'));
+      }
+      local.track = newTrack;
+
+      return Promise.all(this.peerConnections.map(function (peer) {
+        var sender = peer.senders[oldTrack.id];
+
+        if (!sender) return null;
+        delete peer.senders[oldTrack.id];
+        peer.senders[newTrack.id] = sender;
+
+        log.media.debug('Track replaced', {
+          peer: peer.id,
+          kind: newTrack.kind
+        });
+        return sender.replaceTrack(newTrack);
+      }));
+    };
 
-      //Need to renegotiate after a stream is added
-      this.createOffer(peer);
+    //The { track, stream } we send for a track, if we send it
+    this.findLocalTrack = function (track) {
+      return this.localTracks.filter(function (local) {
+        return local.track === track;
+      })[0];
+    };
+
+    //A track the peer sent us is gone
+    //A stream ends with its last track, and is announced again if the peer sends it again
+    this.remoteTrackRemoved = function (peer, track) {
+      if (!peer.remoteTracks[track.id]) return;
+      delete peer.remoteTracks[track.id];
+
+      log.media.debug('Remote track removed', {
+        peer: peer.id,
+        kind: track.kind
+      });
+      this.emit('remoteTrackRemoved', track, peer.id);
+
+      Object.keys(peer.remoteStreams).forEach(function (streamId) {
+        var stream = peer.remoteStreams[streamId],
+          live = stream.getTracks().some(function (remote) {
+            return peer.remoteTracks[remote.id];
+          }),
+          description;
+
+        if (live) return;
+
+        description = this.describeRemoteStream(peer, stream);
+
+        delete peer.remoteStreams[streamId];
+        delete peer.streams[streamId];
+
+        log.media.debug('Remote stream ended', {
+          peer: peer.id,
+          label: description.label
+        });
+        this.emit('remoteStreamEnded', stream, peer.id, description);
+      }, this);
+
+      this.updateScreenShare(peer);
+    };
+
+    //What a peer's stream is, as { label, kind, metadata }
+    //Streams the peer didn't describe have a null label
+    this.describeRemoteStream = function (peer, stream) {
+      var description = peer.streams[stream.id] || {};
+
+      return {
+        label: typeof description.label === 'string' ? description.label : null,
+        kind: description.kind || streamKind(stream),
+        metadata: description.metadata || {}
+      };
+    };
+
+    //Keep what a peer says its streams are, from an offer or answer
+    //Streams it no longer sends are forgotten as their tracks go
+    this.receiveStreams = function (peer, streams) {
+      if (!streams || typeof streams !== 'object') return;
+
+      Object.keys(streams).forEach(function (streamId) {
+        peer.streams[streamId] = streams[streamId];
+      });
+    };
+
+    //What each of our published streams is, by stream ID, to send with offers and answers
+    this.describeStreams = function () {
+      var streams = {};
+
+      Object.keys(this.publishedStreams).forEach(function (label) {
+        var published = this.publishedStreams[label];
+
+        streams[published.stream.id] = {
+          label: published.label,
+          kind: published.kind,
+          metadata: published.metadata
+        };
+      }, this);
+
+      return streams;
+    };
+
+    //Tell the app when a peer's screen share, the stream it published as 'screen', starts or stops
+    this.updateScreenShare = function (peer) {
+      var shared = null;
+
+      Object.keys(peer.remoteStreams).forEach(function (streamId) {
+        if (this.describeRemoteStream(peer, peer.remoteStreams[streamId]).label === 'screen') {
+          shared = peer.remoteStreams[streamId];
+        }
+      }, this);
+
+      if (shared === (peer.screenShare || null)) return;
+
+      if (peer.screenShare) {
+        log.media.debug('Remote screen share stopped', {
+          peer: peer.id
+        });
+        this.emit('remoteScreenShareStopped', peer.screenShare, peer.id);
+      }
+
+      peer.screenShare = shared;
+
+      if (shared) {
+        log.media.debug('Remote screen share started', {
+          peer: peer.id
+        });
+        this.emit('remoteScreenShareStarted', shared, peer.id);
+      }
+    };
+
+    //Send a stream to every peer, now and as they join, with what it is
+    //opts.label names it, e.g. 'camera', 'screen' or 'slides', and defaults to the stream's ID.
+    //Publishing another stream under a label that's in use takes the old one down.
+    //opts.metadata is anything else peers should know about it, e.g. { resolution: '1080p' }
+    this.publishStream = function (stream, opts) {
+      var label;
+
+      opts = opts || {};
+      label = opts.label || stream.id;
+
+      if (this.publishedStreams[label] && this.publishedStreams[label].stream !== stream) {
+        this.unpublishStream(label);
+      }
+
+      //Described before its tracks are added, so the offers they trigger describe it
+      this.publishedStreams[label] = {
+        stream: stream,
+        label: label,
+        kind: streamKind(stream),
+        metadata: opts.metadata || {}
+      };
+      this.addStream(stream);
+
+      log.media.debug('Stream published', {
+        label: label
+      });
+    };
+
+    //Stop sending the stream published under label, leaving the others alone
+    //Its tracks keep running, stop them if they're no longer needed
+    //Returns the stream, if there was one
+    this.unpublishStream = function (label) {
+      var published = this.publishedStreams[label];
+
+      if (!published) return;
+
+      this.removeStream(published.stream);
+
+      log.media.debug('Stream unpublished', {
+        label: label
+      });
+
+      return published.stream;
+    };
+
+    //Streams we publish, as { label, kind, metadata, stream }
+    this.getPublishedStreams = function () {
+      return Object.keys(this.publishedStreams).map(function (label) {
+        return this.publishedStreams[label];
+      }, this);
     };
 
     //Add local webcam and/or microphone stream
     //Toggle video with opts.video and audio with opts.audio
+    //Resolves with the stream once it's been added to every connection
     this.addLocalStream = function (opts) {
+      var constraints;
+
       opts = opts || {};
-      //Request access
-      navigator.getUserMedia({
+      constraints = {
         audio: opts.audio || true,
-        video: opts.video || true,
-        //Add stream to PeerConnection
-      }, function (stream) {
+        video: opts.video || true
+      };
+
+      //Request access
+      return this.getUserMedia(constraints).then(function (stream) {
         //Reference to our stream
         this.localStream = stream;
 
         //Add stream to all peers
-        this.addStream(stream);
+        this.publishStream(stream, {
+          label: 'camera'
+        });
 
         //Proxy stream added event
         this.emit('localStreamAdded', stream);
-        if (options.debug) console.log('Local stream added');
-      }.bind(this), this.logError);
+        log.media.debug('Local stream added');
+
+        return stream;
+      }.bind(this), function (error) {
+        this.logError(error);
+        throw error;
+      }.bind(this));
+    };
+
+    //getUserMedia as a promise, falling back to the prefixed callback version
+    this.getUserMedia = function (constraints) {
+      if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+        return navigator.mediaDevices.getUserMedia(constraints);
+      }
+
+      return new Promise(function (resolve, reject) {
+        navigator.getUserMedia(constraints, resolve, reject);
+      });
+    };
+
+    //getDisplayMedia as a promise, for browsers that have it
+    this.getDisplayMedia = function (constraints) {
+      if (navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia) {
+        return navigator.mediaDevices.getDisplayMedia(constraints);
+      }
+
+      return Promise.reject(new Error('Screen sharing is not supported by this browser'));
+    };
+
+    //Share our screen, a window or a tab with every peer, next to the camera if we send one
+    //Include the audio of what's being shared with opts.audio
+    //Resolves with the stream once it's been added to every connection
+    this.startScreenShare = function (opts) {
+      opts = opts || {};
+
+      if (this.screenStream) {
+        return Promise.resolve(this.screenStream);
+      }
+
+      //Will trigger a user prompt asking what to share
+      return this.getDisplayMedia({
+        video: true,
+        audio: opts.audio || false
+      }).then(function (stream) {
+        this.screenStream = stream;
+
+        //Sharing can also be stopped from the browser's own controls
+        stream.getVideoTracks().forEach(function (track) {
+          track.onended = this.stopScreenShare.bind(this);
+        }, this);
+
+        this.publishStream(stream, {
+          label: 'screen'
+        });
+
+        this.emit('screenShareStarted', stream);
+        log.media.debug('Screen share started');
+
+        return stream;
+      }.bind(this), function (error) {
+        this.logError(error);
+        throw error;
+      }.bind(this));
+    };
+
+    //Stop sharing our screen with every peer
+    this.stopScreenShare = function () {
+      var stream = this.screenStream;
+
+      if (!stream) return;
+
+      this.screenStream = undefined;
+      this.removeStream(stream);
+
+      stream.getTracks().forEach(function (track) {
+        track.onended = null;
+        track.stop();
+      });
+
+      this.emit('screenShareStopped', stream);
+      log.media.debug('Screen share stopped');
     };
 
     //Remove stream from all connections
     this.removeLocalStream = function () {
-      //Stop recording
-      this.localStream.stop();
+      var stream = this.localStream;
+
+      if (!stream) return;
 
       //Remove our local stream entirely
       this.localStream = undefined;
 
-      this.peerConnections.forEach(function (peer) {
-        if (options.debug) console.log('Local stream removed from ' + peer.id);
+      this.removeStream(stream);
 
-        this.socket.emit('streamremoved', peer.id);
+      //Stop recording
+      stream.getTracks().forEach(function (track) {
+        track.stop();
+      });
 
-        //Demolish stream
-        this.regenStream(peer, true);
+      this.peerConnections.forEach(function (peer) {
+        log.media.debug('Local stream removed', {
+          peer: peer.id
+        });
 
-      }.bind(this));
+        this.sendSignal('streamremoved', peer.id);
+      }, this);
 
       //Pass events through
       this.emit('localStreamRemoved');
 
     };
 
-    //Remove stream
+    //Peer stopped sending its stream
+    //Its tracks go away with the renegotiation that follows, this only passes the news on
     this.removeRemoteStream = function (id) {
       this.emit('remoteStreamRemoved', id);
-      if (options.debug) console.log('Removing stream from: ' + id);
-
-      //Need to regenerate stream to deal with "phantom" remote MediaStream bug(?)
-      this.regenStream(this.getPeer(id));
-    };
-
-    //Regenerate a stream by re-creating its PeerConnection and re-binding all events
-    this.regenStream = function (peer, suppress) {
-
-      if (options.debug) console.log('Regenerating PeerConnection for ' + peer.id);
-
-      //If we are regenerating because we're removing a local connection and there is a remote stream
-      suppress = suppress && peer.connection.getRemoteStreams().length;
-      //Replace PeerConnection with new connection
-      peer.connection = new this.PeerConnection(this.iceServers);
-      //Bind connection events
-      this.bindConnectionEvents(peer, suppress);
-      //Add local stream if necessary
-      if (this.localStream) {
-        this.addStreamToPeer(this.localStream, peer);
-      }
+      log.media.debug('Removing stream', {
+        peer: id
+      });
     };
 
     //Process ice candidate
+    //Candidates that arrive before the offer or answer they belong to wait for it
+    //Resolves once the candidate has been added or put aside
     this.receiveIceCandidate = function (data) {
+      var peer;
 
-      if (options.debug && options.debug === 'verbose') console.log('Received candidate', data.candidate);
-
-      //This is horrible, but that's the way the data is packaged
-      if (data.candidate.candidate) {
+      log.ice.trace('Received ICE candidate', {
+        peer: data.sender,
+        candidate: data.candidate && data.candidate.candidate
+      });
 
-        //Unpackage data
-        var peer = this.getPeer(data.sender),
-          candidate = data.candidate.candidate,
-          line = data.candidate.sdpMLineIndex;
+      //An empty candidate marks the end of the peer's candidates, there is nothing to add
+      if (!data.candidate.candidate) {
+        return Promise.resolve();
+      }
 
-        if (options.debug && options.debug === 'verbose') console.log('Added ICE candidate from ' + peer.id);
+      peer = this.getPeer(data.sender);
 
-        //Suppress error message if we're debugging after unnecessary ice candidates are sent - causes like 30 errors if you pause during connection
-        peer.connection.addIceCandidate(new this.RTCIceCandidate({
-          candidate: candidate,
-          sdpMLineIndex: line,
-        }));
+      if (!peer.connection.remoteDescription) {
+        peer.pendingCandidates.push(data.candidate);
+        return Promise.resolve();
       }
+
+      return this.addIceCandidate(peer, data.candidate);
+    };
+
+    //Add a candidate to a peer's connection
+    //Late candidates for a connection that's already gone fail, which is only worth a trace
+    this.addIceCandidate = function (peer, candidate) {
+      return peer.connection.addIceCandidate(new this.RTCIceCandidate(candidate)).then(function () {
+        log.ice.trace('Added ICE candidate', {
+          peer: peer.id
+        });
+      }, function (error) {
+        log.ice.trace('Could not add ICE candidate', {
+          peer: peer.id,
+          error: error.message
+        });
+      });
     };
 
     //Get our prefixed RTC objects
@@ -446,11 +1558,24 @@
     //Options defaults
     options = this.generateDefaults(options);
 
-    //Set up our socket connection
-    this.socket = io(options.server + options.room);
+    //Set up logging for signaling, negotiation, ICE and media
+    this.logger = createLogger({
+      level: options.logLevel,
+      sink: options.logSink,
+      modules: options.logModules
+    });
+    ['signaling', 'negotiation', 'ice', 'media'].forEach(function (module) {
+      log[module] = this.logger.child(module);
+    }, this);
+
+    //What we tell other peers about ourselves until the server confirms it
+    this.metadata = options.metadata;
+
+    //Our own ICE servers until the server sends its own
+    this.setIceServers();
 
-    //Bind our events
-    this.bindEvents();
+    //Set up our socket connection and bind our events
+    this.connect();
   }
 
   PeerConnectionClient.prototype = new EventEmitter();
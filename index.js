@@ -1,19 +1,176 @@
+#!/usr/bin/env node
 /* jshint node:true */
 
 'use strict';
 
+var fs = require('fs');
+var os = require('os');
+var http = require('http');
+var https = require('https');
 var express = require('express');
-var app = express();
-var server = require('http').Server(app);
-var io = require('socket.io')(server);
-var signaller = require('./signaler')(io, 'default', {
-  debug: true
+var config = require('./lib/config');
+var extend = require('./lib/util').extend;
+var selfsigned = require('./lib/selfsigned');
+var createLogger = require('./lib/logger');
+var signaler = require('./signaler');
+
+var settings,
+  app,
+  server,
+  redirect,
+  credentials,
+  iceServers = null,
+  turnOptions,
+  signallers,
+  logger,
+  stopping = false,
+  io;
+
+try {
+  settings = config.load(process.argv.slice(2), process.env);
+} catch (e) {
+  console.error('signaler: ' + e.message);
+  console.error('Run signaler --help for the available options');
+  process.exit(1);
+}
+
+if (settings.help) {
+  console.log(config.usage());
+  process.exit(0);
+}
+
+logger = createLogger({
+  level: settings.logLevel,
+  sink: settings.logFormat,
+  modules: settings.logModules || {}
+});
+
+app = express();
+
+if (settings.tlsSelfSigned) {
+  credentials = selfsigned({
+    altNames: ['localhost', '127.0.0.1', '::1', os.hostname()].concat(settings.host ? [settings.host] : [])
+  });
+  settings.fingerprint = credentials.fingerprint;
+} else if (settings.tls) {
+  credentials = {
+    cert: fs.readFileSync(settings.tlsCert),
+    key: fs.readFileSync(settings.tlsKey)
+  };
+}
+
+server = settings.tls ? https.createServer({
+  cert: credentials.cert,
+  key: credentials.key
+}, app) : http.Server(app);
+io = require('socket.io')(server);
+
+//Every peer gets its own TURN credentials, over HTTP and with the signaling handshake
+if (settings.turnSecret) {
+  turnOptions = {
+    secret: settings.turnSecret,
+    urls: settings.turnUrls,
+    stun: settings.stunUrls || [],
+    ttl: settings.turnTtl
+  };
+  iceServers = signaler.turn.iceServers(turnOptions);
+
+  //Config makes sure there's a token to check, or anyone could relay through the TURN server
+  app.get('/turn-credentials', signaler.turn.route(extend({
+    authenticate: signaler.auth.jwt(settings.authSecret)
+  }, turnOptions)));
+} else if (settings.stunUrls) {
+  iceServers = [{
+    urls: settings.stunUrls
+  }];
+}
+
+//One namespace per room, as the client expects by default
+signallers = settings.rooms.map(function (room) {
+  return signaler(io, room, {
+    iceServers: iceServers,
+    authenticate: settings.authSecret ? signaler.auth.jwt(settings.authSecret) : null,
+    trustProxy: settings.trustProxy,
+    logger: logger
+  }).start();
 });
 
-server.listen(8083);
+if (settings.metrics) {
+  app.get('/metrics', signaler.metrics(signallers).handler());
+}
+
+if (settings.adminToken) {
+  app.use('/admin', signaler.admin(signallers, {
+    token: settings.adminToken
+  }));
+}
 
-signaller.start();
+if (settings.staticDir) {
+  app.use(express.static(settings.staticDir));
+}
 
-app.use(express.static(__dirname + '/'));
+//Let peers finish negotiating and move them to --drain-server before exiting
+//A second signal exits right away
+function shutdown(signal) {
+  var pending = signallers.length;
 
-console.log('server listening at 8083');
\ No newline at end of file
+  if (stopping) {
+    process.exit(1);
+  }
+  stopping = true;
+
+  logger.info('Shutting down', {
+    signal: signal,
+    server: settings.drainServer
+  });
+
+  signallers.forEach(function (signaller) {
+    signaller.stop({
+      drain: true,
+      server: settings.drainServer,
+      reason: 'shutdown',
+      timeout: settings.drainTimeout * 1000
+    }, function () {
+      pending--;
+      if (!pending) {
+        process.exit(0);
+      }
+    });
+  });
+}
+
+process.on('SIGTERM', shutdown.bind(null, 'SIGTERM'));
+process.on('SIGINT', shutdown.bind(null, 'SIGINT'));
+
+function listenFailed(port) {
+  return function (err) {
+    console.error('signaler: could not listen on ' + (settings.host || '*') + ':' + port + ': ' + err.message);
+    process.exit(1);
+  };
+}
+
+server.on('error', listenFailed(settings.port));
+
+server.listen(settings.port, settings.host || undefined, function () {
+  settings.port = server.address().port;
+
+  if (settings.redirectPort === null) {
+    return console.log(config.describe(settings));
+  }
+
+  //Send plain HTTP requests to the same host and path over HTTPS
+  redirect = http.createServer(function (req, res) {
+    var host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+    res.writeHead(301, {
+      Location: 'https://' + host + (settings.port === 443 ? '' : ':' + settings.port) + req.url
+    });
+    res.end();
+  });
+
+  redirect.on('error', listenFailed(settings.redirectPort));
+
+  redirect.listen(settings.redirectPort, settings.host || undefined, function () {
+    settings.redirectPort = redirect.address().port;
+    console.log(config.describe(settings));
+  });
+});
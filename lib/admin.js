@@ -0,0 +1,278 @@
+/* jshint node:true */
+
+'use strict';
+
+var express = require('express');
+var extend = require('./util').extend;
+var safeEqual = require('./util').safeEqual;
+var getToken = require('./auth').getToken;
+
+//Error body in the same { code, message } shape the signaling protocol uses
+function fail(res, status, code, message) {
+  res.status(status).json({
+    code: code,
+    message: message
+  });
+}
+
+//Name of the namespace a signaler is bound to, null before it starts
+function namespaceOf(signaller) {
+  return signaller.namespace ? signaller.namespace.name : null;
+}
+
+//Express router for watching and moderating running signalers
+//signallers is a signaler from createSignalerServer, or an array of them
+//Requests need opts.token as a bearer token, or to pass opts.authenticate(req, cb),
+//which is called like the signaler's authenticate option with the request instead of a handshake
+module.exports = function (signallers, opts) {
+
+  opts = extend({
+    token: null,
+    authenticate: null
+  }, opts);
+
+  if (!opts.token && !opts.authenticate) {
+    throw new Error('The admin API needs a token or an authenticate function');
+  }
+
+  signallers = [].concat(signallers);
+
+  var router = express.Router();
+
+  //Find the signaler holding a room or a peer
+  function findRoom(name) {
+    return signallers.filter(function (signaller) {
+      return signaller.getRoom(name);
+    })[0];
+  }
+
+  function findPeer(id) {
+    return signallers.filter(function (signaller) {
+      return signaller.sessions.get(id);
+    })[0];
+  }
+
+  //Everything every signaler returns for fn, with the namespace it came from
+  function collect(fn) {
+    var results = [];
+
+    signallers.forEach(function (signaller) {
+      fn(signaller).forEach(function (result) {
+        results.push(extend({
+          namespace: namespaceOf(signaller)
+        }, result));
+      });
+    });
+
+    return results;
+  }
+
+  router.use(function (req, res, next) {
+    if (opts.authenticate) {
+      return opts.authenticate(req, function (err, admin) {
+        if (err || !admin) {
+          return fail(res, 401, (err && err.code) || 'unauthorized', (err && err.message) || 'Authentication failed');
+        }
+        req.admin = admin;
+        next();
+      });
+    }
+
+    if (!safeEqual(getToken({
+        headers: req.headers
+      }), opts.token)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return fail(res, 401, 'unauthorized', 'A valid bearer token is required');
+    }
+
+    next();
+  });
+
+  router.use(express.json({
+    limit: '16kb'
+  }));
+
+  //Every room with its members and traffic
+  router.get('/rooms', function (req, res) {
+    res.json(collect(function (signaller) {
+      return Object.keys(signaller.rooms).map(signaller.getRoomStats, signaller);
+    }));
+  });
+
+  router.get('/rooms/:room', function (req, res) {
+    var signaller = findRoom(req.params.room);
+
+    if (!signaller) {
+      return fail(res, 404, 'notfound', 'No such room');
+    }
+
+    res.json(extend({
+      namespace: namespaceOf(signaller)
+    }, signaller.getRoomStats(req.params.room)));
+  });
+
+  router.get('/rooms/:room/peers', function (req, res) {
+    var signaller = findRoom(req.params.room);
+
+    if (!signaller) {
+      return fail(res, 404, 'notfound', 'No such room');
+    }
+
+    res.json(signaller.listPeers(req.params.room));
+  });
+
+  //Send { message, data } to everyone in a room as a systemmessage
+  router.post('/rooms/:room/messages', function (req, res) {
+    var signaller = findRoom(req.params.room),
+      body = req.body || {};
+
+    if (typeof body.message !== 'string' || !body.message) {
+      return fail(res, 400, 'invalid', 'message must be a non-empty string');
+    }
+
+    if (!signaller) {
+      return fail(res, 404, 'notfound', 'No such room');
+    }
+
+    signaller.sendSystemMessage(req.params.room, body.message, body.data);
+
+    res.json({
+      sent: true,
+      recipients: signaller.getRoom(req.params.room).size()
+    });
+  });
+
+  //Every connected peer, or those in the room given as ?room=
+  router.get('/peers', function (req, res) {
+    res.json(collect(function (signaller) {
+      return signaller.listPeers(req.query.room);
+    }));
+  });
+
+  router.get('/peers/:id', function (req, res) {
+    var signaller = findPeer(req.params.id);
+
+    if (!signaller) {
+      return fail(res, 404, 'notfound', 'No such peer');
+    }
+
+    res.json(extend({
+      namespace: namespaceOf(signaller)
+    }, signaller.describeSocket(signaller.sessions.get(req.params.id).socket)));
+  });
+
+  //Disconnect a peer, telling it { reason }
+  router.post('/peers/:id/kick', function (req, res) {
+    var signaller = findPeer(req.params.id);
+
+    if (!signaller) {
+      return fail(res, 404, 'notfound', 'No such peer');
+    }
+
+    signaller.kick(req.params.id, (req.body && req.body.reason) || null);
+
+    res.json({
+      kicked: true
+    });
+  });
+
+  //Banned users and addresses, with when their bans end, null meaning never
+  router.get('/bans', function (req, res) {
+    var users = {},
+      addresses = {};
+
+    signallers.forEach(function (signaller) {
+      Object.keys(signaller.userBans).forEach(function (user) {
+        if (signaller.isUserBanned(user)) {
+          users[user] = signaller.userBans[user];
+        }
+      });
+      if (signaller.rateLimiter) {
+        extend(addresses, signaller.rateLimiter.stats().bans);
+      }
+    });
+
+    res.json({
+      users: users,
+      addresses: addresses
+    });
+  });
+
+  //Ban { user } or { address } for { duration } milliseconds, or for good without one
+  //Banning a user kicks all their peers and needs authentication to be set up
+  //Banning an address needs rate limiting, which is what refuses its connections
+  router.post('/bans', function (req, res) {
+    var body = req.body || {},
+      duration = body.duration;
+
+    if (duration !== undefined && duration !== null && (typeof duration !== 'number' || duration <= 0)) {
+      return fail(res, 400, 'invalid', 'duration must be a number of milliseconds');
+    }
+
+    if (body.user !== undefined && body.user !== null && body.user !== '') {
+      if (!signallers.every(function (signaller) {
+          return signaller.options.authenticate;
+        })) {
+        return fail(res, 409, 'unsupported', 'User bans need authentication to be enabled');
+      }
+      signallers.forEach(function (signaller) {
+        signaller.banUser(String(body.user), duration, body.reason);
+      });
+      return res.status(201).json({
+        banned: true
+      });
+    }
+
+    if (typeof body.address === 'string' && body.address) {
+      if (!signallers.every(function (signaller) {
+          return signaller.rateLimiter;
+        })) {
+        return fail(res, 409, 'unsupported', 'Address bans need rate limiting to be enabled');
+      }
+      signallers.forEach(function (signaller) {
+        signaller.rateLimiter.ban(body.address, duration || null);
+      });
+      return res.status(201).json({
+        banned: true
+      });
+    }
+
+    fail(res, 400, 'invalid', 'user or address must be given');
+  });
+
+  router.delete('/bans/users/:user', function (req, res) {
+    var lifted = signallers.filter(function (signaller) {
+      return signaller.unbanUser(req.params.user);
+    }).length;
+
+    if (!lifted) {
+      return fail(res, 404, 'notfound', 'User is not banned');
+    }
+
+    res.json({
+      banned: false
+    });
+  });
+
+  router.delete('/bans/addresses/:address', function (req, res) {
+    signallers.forEach(function (signaller) {
+      if (signaller.rateLimiter) {
+        signaller.rateLimiter.unban(req.params.address);
+      }
+    });
+
+    res.json({
+      banned: false
+    });
+  });
+
+  //Malformed JSON bodies
+  router.use(function (err, req, res, next) {
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+      return fail(res, 400, 'invalid', err.message);
+    }
+    next(err);
+  });
+
+  return router;
+};
@@ -0,0 +1,148 @@
+/* jshint node:true */
+
+'use strict';
+
+var crypto = require('crypto');
+var safeEqual = require('./util').safeEqual;
+
+//Error carrying a code the client can act on
+function authError(code, message) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function fromBase64url(string) {
+  string = string.replace(/-/g, '+').replace(/_/g, '/');
+  while (string.length % 4) {
+    string += '=';
+  }
+  return Buffer.from(string, 'base64');
+}
+
+function hmac(input, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(input).digest());
+}
+
+//Sign a payload as an HS256 JSON Web Token
+//opts.expiresIn is a lifetime in seconds
+exports.sign = function (payload, secret, opts) {
+  var now = Math.floor(Date.now() / 1000),
+    header = base64url(Buffer.from(JSON.stringify({
+      alg: 'HS256',
+      typ: 'JWT'
+    }))),
+    body;
+
+  opts = opts || {};
+  payload = JSON.parse(JSON.stringify(payload));
+  payload.iat = payload.iat || now;
+
+  if (opts.expiresIn) {
+    payload.exp = now + opts.expiresIn;
+  }
+
+  body = base64url(Buffer.from(JSON.stringify(payload)));
+
+  return header + '.' + body + '.' + hmac(header + '.' + body, secret);
+};
+
+//Verify an HS256 token and return its payload, throwing an error with a code if it isn't valid
+//opts.clockTolerance allows some seconds of skew, opts.issuer and opts.audience must match if given
+exports.verify = function (token, secret, opts) {
+  var parts = typeof token === 'string' ? token.split('.') : [],
+    now = Math.floor(Date.now() / 1000),
+    tolerance,
+    header,
+    payload;
+
+  opts = opts || {};
+  tolerance = opts.clockTolerance || 0;
+
+  if (parts.length !== 3) {
+    throw authError('token_invalid', 'Malformed token');
+  }
+
+  try {
+    header = JSON.parse(fromBase64url(parts[0]).toString());
+    payload = JSON.parse(fromBase64url(parts[1]).toString());
+  } catch (e) {
+    throw authError('token_invalid', 'Malformed token');
+  }
+
+  if (header.alg !== 'HS256') {
+    throw authError('token_invalid', 'Unsupported token algorithm');
+  }
+
+  if (!safeEqual(parts[2], hmac(parts[0] + '.' + parts[1], secret))) {
+    throw authError('token_invalid', 'Invalid token signature');
+  }
+
+  if (typeof payload.exp === 'number' && now - tolerance >= payload.exp) {
+    throw authError('token_expired', 'Token expired');
+  }
+
+  if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf) {
+    throw authError('token_invalid', 'Token not valid yet');
+  }
+
+  if (opts.issuer && payload.iss !== opts.issuer) {
+    throw authError('token_invalid', 'Unexpected token issuer');
+  }
+
+  if (opts.audience && payload.aud !== opts.audience) {
+    throw authError('token_invalid', 'Unexpected token audience');
+  }
+
+  return payload;
+};
+
+//Pull a token out of the connection query string or a bearer Authorization header
+exports.getToken = function (handshake) {
+  var header = handshake.headers && handshake.headers.authorization;
+
+  if (handshake.query && handshake.query.token) {
+    return handshake.query.token;
+  }
+
+  if (header && /^Bearer /i.test(header)) {
+    return header.slice(7);
+  }
+
+  return null;
+};
+
+//Build an authenticate function for the signaler that accepts HS256 tokens signed with secret
+//The user attached to the socket is { id: sub, claims: payload }
+exports.jwt = function (secret, opts) {
+  opts = opts || {};
+
+  var getToken = opts.getToken || exports.getToken;
+
+  return function (handshake, cb) {
+    var token = getToken(handshake),
+      payload;
+
+    if (!token) {
+      return cb(authError('token_missing', 'No token provided'));
+    }
+
+    try {
+      payload = exports.verify(token, secret, opts);
+    } catch (e) {
+      return cb(e);
+    }
+
+    cb(null, {
+      id: payload.sub,
+      claims: payload
+    });
+  };
+};
@@ -0,0 +1,333 @@
+/* jshint node:true */
+
+'use strict';
+
+var crypto = require('crypto');
+var extend = require('../util').extend;
+var createLogger = require('../logger');
+
+//Shares room membership between signalers in different processes and routes targeted
+//messages to the process holding the recipient's socket
+//Every node keeps a copy of which peers the other nodes have in each room, built from
+//join, leave and metadata announcements on the backend. The backend only needs to
+//publish a message to every node, see memory.js, ipc.js and redis.js. Backends that can
+//miss messages while disconnected emit reconnect, and the node asks for everything again
+//A backend stops delivering when closed, and starts again on the next subscribe
+module.exports = function (signaller, backend, options) {
+
+  options = extend({
+    heartbeatInterval: 5000,
+    relayTimeout: 5000,
+    logger: null,
+    debug: false
+  }, options);
+
+  var log = createLogger.from(options, 'cluster');
+
+  var cluster = {
+    id: crypto.randomBytes(8).toString('hex'),
+    backend: backend,
+
+    //room name -> peer ID -> { id, node, metadata }, without prototypes as both come from clients
+    remote: Object.create(null),
+
+    //node ID -> time it was last heard from
+    nodes: {},
+
+    //Relays waiting for the owning node to answer, by sequence number
+    pending: {},
+    sequence: 0,
+    timer: null,
+
+    //Start listening, ask every other node what it has and start sending heartbeats
+    start: function () {
+      backend.subscribe(this.handle.bind(this));
+
+      this.publish({
+        type: 'sync'
+      });
+
+      this.timer = setInterval(function () {
+        this.publish({
+          type: 'heartbeat'
+        });
+        this.checkNodes();
+      }.bind(this), options.heartbeatInterval);
+
+      if (this.timer.unref) {
+        this.timer.unref();
+      }
+    },
+
+    //Tell the other nodes our peers are gone and stop, forgetting theirs until we start again
+    stop: function () {
+      clearInterval(this.timer);
+      this.publish({
+        type: 'nodedown'
+      });
+      Object.keys(this.pending).forEach(function (id) {
+        this.settle(id, {
+          delivered: false,
+          code: 'notfound'
+        });
+      }, this);
+      if (backend.close) {
+        backend.close();
+      }
+      this.remote = Object.create(null);
+      this.nodes = {};
+    },
+
+    publish: function (message) {
+      message.from = this.id;
+      backend.publish(message);
+    },
+
+    //A peer joined one of our rooms
+    announceJoin: function (peer, room) {
+      this.publish({
+        type: 'join',
+        room: room,
+        peer: peer
+      });
+    },
+
+    //A peer left one of our rooms
+    announceLeave: function (id, room) {
+      this.publish({
+        type: 'leave',
+        room: room,
+        id: id
+      });
+    },
+
+    //A peer in one of our rooms changed its metadata
+    announceMetadata: function (peer, room) {
+      this.publish({
+        type: 'metadata',
+        room: room,
+        peer: peer
+      });
+    },
+
+    //Peers other nodes have in a room, as { id, metadata }
+    getPeers: function (room) {
+      var peers = this.remote[room] || {};
+      return Object.keys(peers).map(function (id) {
+        return {
+          id: id,
+          metadata: peers[id].metadata
+        };
+      });
+    },
+
+    //Find a peer another node has in a room
+    findPeer: function (room, id) {
+      return this.remote[room] && this.remote[room][id];
+    },
+
+    //Hand a message to the node holding its recipient
+    //done is called with { delivered: true } or { delivered: false, code }
+    relay: function (peer, room, type, outgoing, done) {
+      var id = ++this.sequence;
+
+      this.pending[id] = {
+        done: done,
+        timer: setTimeout(function () {
+          this.settle(id, {
+            delivered: false,
+            code: 'disconnected'
+          });
+        }.bind(this), options.relayTimeout)
+      };
+
+      this.publish({
+        type: 'relay',
+        to: peer.node,
+        id: id,
+        room: room,
+        target: peer.id,
+        event: type,
+        message: outgoing
+      });
+    },
+
+    //Finish a pending relay
+    settle: function (id, result) {
+      var pending = this.pending[id];
+      if (pending) {
+        clearTimeout(pending.timer);
+        delete this.pending[id];
+        pending.done(result);
+      }
+    },
+
+    //Handle a message from the backend
+    handle: function (message) {
+      var handler,
+        known;
+
+      if (message.from === this.id || (message.to && message.to !== this.id)) {
+        return;
+      }
+
+      known = this.nodes.hasOwnProperty(message.from);
+      this.nodes[message.from] = Date.now();
+
+      //A node we never heard of or gave up on has peers we don't know about
+      if (!known && message.type === 'heartbeat') {
+        this.publish({
+          type: 'sync',
+          to: message.from
+        });
+      }
+
+      handler = this.handlers[message.type];
+      if (handler) {
+        handler.call(this, message);
+      }
+    },
+
+    handlers: {
+      //A new node wants to know what everyone has
+      sync: function (message) {
+        this.publish({
+          type: 'state',
+          to: message.from,
+          peers: signaller.getLocalPeers()
+        });
+      },
+
+      //Another node's answer to our sync, everything it has right now
+      //Peers we didn't know about are announced, and ones it no longer has are dropped
+      state: function (message) {
+        var current = {};
+
+        message.peers.forEach(function (entry) {
+          current[entry.room + '\n' + entry.peer.id] = true;
+          this.addPeer(message.from, entry.room, entry.peer, !this.findPeer(entry.room, entry.peer.id));
+        }, this);
+
+        Object.keys(this.remote).forEach(function (room) {
+          Object.keys(this.remote[room]).forEach(function (id) {
+            if (this.remote[room][id].node === message.from && !current[room + '\n' + id]) {
+              this.removePeer(room, id);
+            }
+          }, this);
+        }, this);
+      },
+
+      join: function (message) {
+        this.addPeer(message.from, message.room, message.peer, true);
+      },
+
+      leave: function (message) {
+        this.removePeer(message.room, message.id);
+      },
+
+      metadata: function (message) {
+        var peer = this.findPeer(message.room, message.peer.id);
+        if (peer) {
+          peer.metadata = message.peer.metadata;
+          signaller.broadcast(message.room, 'metadataupdated', message.peer);
+        }
+      },
+
+      //Deliver a message to one of our sockets for another node and tell it how it went
+      relay: function (message) {
+        var result = signaller.deliverLocal(message.room, message.target, message.event, message.message);
+
+        this.publish({
+          type: 'relayresult',
+          to: message.from,
+          id: message.id,
+          delivered: result === true,
+          code: result === true ? undefined : result
+        });
+      },
+
+      relayresult: function (message) {
+        this.settle(message.id, {
+          delivered: message.delivered,
+          code: message.code
+        });
+      },
+
+      heartbeat: function () {},
+
+      nodedown: function (message) {
+        this.removeNode(message.from);
+      }
+    },
+
+    //Remember a peer on another node, telling our sockets in the room if it's new
+    addPeer: function (node, room, peer, notify) {
+      this.remote[room] = this.remote[room] || Object.create(null);
+      this.remote[room][peer.id] = {
+        id: peer.id,
+        node: node,
+        metadata: peer.metadata
+      };
+      if (notify) {
+        signaller.broadcast(room, 'newconnection', peer);
+      }
+    },
+
+    //Forget a peer on another node and tell our sockets in the room
+    removePeer: function (room, id) {
+      if (!this.findPeer(room, id)) {
+        return;
+      }
+      delete this.remote[room][id];
+      if (!Object.keys(this.remote[room]).length) {
+        delete this.remote[room];
+      }
+      signaller.broadcast(room, 'disconnect', id);
+    },
+
+    //Forget every peer of a node that stopped or went quiet
+    removeNode: function (node) {
+      log.warn('Cluster node is gone', {
+        node: node
+      });
+
+      delete this.nodes[node];
+
+      Object.keys(this.remote).forEach(function (room) {
+        Object.keys(this.remote[room]).forEach(function (id) {
+          if (this.remote[room][id].node === node) {
+            this.removePeer(room, id);
+          }
+        }, this);
+      }, this);
+
+      signaller.emit('clusterNodeDown', node);
+    },
+
+    //Drop nodes we haven't heard from for three heartbeats
+    checkNodes: function () {
+      var now = Date.now();
+      Object.keys(this.nodes).forEach(function (node) {
+        if (now - this.nodes[node] > options.heartbeatInterval * 3) {
+          this.removeNode(node);
+        }
+      }, this);
+    }
+  };
+
+  if (typeof backend.on === 'function') {
+    backend.on('reconnect', function () {
+      log.info('Cluster backend reconnected, syncing');
+      cluster.publish({
+        type: 'sync'
+      });
+    });
+  }
+
+  return cluster;
+};
+
+module.exports.memory = require('./memory');
+module.exports.ipc = require('./ipc');
+module.exports.redis = require('./redis');
+module.exports.redisStandin = require('./redis-standin');
@@ -0,0 +1,73 @@
+/* jshint node:true */
+
+'use strict';
+
+//Cluster backend for workers forked with Node's cluster module
+//Workers send messages to the master over IPC and the master passes them on to every worker
+//Call ipc.master(cluster) once in the master, and use ipc() as the backend in each worker
+
+//Key marking our messages so they don't get mixed up with anything else sent over IPC
+var KEY = 'socketio-signaler';
+
+module.exports = function () {
+
+  var handlers = [];
+
+  function receive(packet) {
+    if (packet && packet[KEY]) {
+      handlers.forEach(function (handler) {
+        handler(packet[KEY]);
+      });
+    }
+  }
+
+  return {
+    //Send a message to every worker, including this one
+    publish: function (message) {
+      var packet = {};
+      packet[KEY] = message;
+      process.send(packet);
+    },
+
+    //Call handler with every message any worker publishes
+    subscribe: function (handler) {
+      if (!handlers.length) {
+        process.on('message', receive);
+      }
+      handlers.push(handler);
+    },
+
+    //Stop receiving messages and forget every handler
+    close: function () {
+      process.removeListener('message', receive);
+      handlers = [];
+    }
+  };
+};
+
+//Pass every signaler message from one worker to all workers
+module.exports.master = function (cluster) {
+  function forward(worker, packet) {
+    //Older Node versions call the cluster message event without the worker
+    if (arguments.length === 1) {
+      packet = worker;
+    }
+
+    if (!packet || !packet[KEY]) {
+      return;
+    }
+
+    Object.keys(cluster.workers).forEach(function (id) {
+      var target = cluster.workers[id];
+      if (target && target.isConnected()) {
+        target.send(packet);
+      }
+    });
+  }
+
+  cluster.on('message', forward);
+
+  return function () {
+    cluster.removeListener('message', forward);
+  };
+};
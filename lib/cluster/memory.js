@@ -0,0 +1,50 @@
+/* jshint node:true */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+
+//Cluster backend for signalers in the same process, connected through a shared hub
+//Pass the same hub to every backend that should see each other's messages
+module.exports = function (hub) {
+
+  var handlers = [];
+
+  function receive(message) {
+    handlers.forEach(function (handler) {
+      handler(message);
+    });
+  }
+
+  return {
+    //Send a message to every node, including this one
+    //Delivered on the next tick so every node sees the same ordering as over a network
+    publish: function (message) {
+      message = JSON.parse(JSON.stringify(message));
+      process.nextTick(function () {
+        hub.emit('message', message);
+      });
+    },
+
+    //Call handler with every message published on the hub
+    subscribe: function (handler) {
+      if (!handlers.length) {
+        hub.on('message', receive);
+      }
+      handlers.push(handler);
+    },
+
+    //Stop receiving messages and forget every handler
+    close: function () {
+      hub.removeListener('message', receive);
+      handlers = [];
+    }
+  };
+};
+
+//Hub to share between memory backends
+module.exports.createHub = function () {
+  var hub = new EventEmitter();
+  hub.setMaxListeners(0);
+  return hub;
+};
@@ -0,0 +1,84 @@
+/* jshint node:true */
+
+'use strict';
+
+var net = require('net');
+var resp = require('./resp');
+
+//A tiny server speaking the Redis protocol for PING, AUTH, SUBSCRIBE, UNSUBSCRIBE and PUBLISH
+//Stands in for Redis when developing or testing the Redis cluster backend on one machine
+//Not for production - it keeps nothing and supports nothing else
+module.exports = function () {
+
+  var channels = {};
+
+  function unsubscribe(socket, channel) {
+    var subscribers = channels[channel];
+    if (subscribers && subscribers.indexOf(socket) !== -1) {
+      subscribers.splice(subscribers.indexOf(socket), 1);
+      if (!subscribers.length) {
+        delete channels[channel];
+      }
+    }
+  }
+
+  var server = net.createServer(function (socket) {
+    var subscriptions = [];
+
+    socket.on('data', resp.createParser(function (command) {
+      var name = Array.isArray(command) ? String(command[0]).toUpperCase() : '',
+        args = Array.isArray(command) ? command.slice(1) : [];
+
+      switch (name) {
+      case 'PING':
+        socket.write('+PONG\r\n');
+        break;
+      case 'AUTH':
+        socket.write('+OK\r\n');
+        break;
+      case 'SUBSCRIBE':
+        args.forEach(function (channel) {
+          if (subscriptions.indexOf(channel) === -1) {
+            subscriptions.push(channel);
+            channels[channel] = channels[channel] || [];
+            channels[channel].push(socket);
+          }
+          socket.write(resp.encodeReply(['subscribe', channel, subscriptions.length]));
+        });
+        break;
+      case 'UNSUBSCRIBE':
+        (args.length ? args : subscriptions.slice()).forEach(function (channel) {
+          unsubscribe(socket, channel);
+          if (subscriptions.indexOf(channel) !== -1) {
+            subscriptions.splice(subscriptions.indexOf(channel), 1);
+          }
+          socket.write(resp.encodeReply(['unsubscribe', channel, subscriptions.length]));
+        });
+        break;
+      case 'PUBLISH':
+        (channels[args[0]] || []).forEach(function (subscriber) {
+          subscriber.write(resp.encodeReply(['message', args[0], args[1]]));
+        });
+        socket.write(resp.encodeReply((channels[args[0]] || []).length));
+        break;
+      case 'QUIT':
+        socket.end('+OK\r\n');
+        break;
+      default:
+        socket.write(resp.encodeReply(new Error('ERR unknown command \'' + name + '\'')));
+      }
+    }, function (error) {
+      socket.end(resp.encodeReply(new Error('ERR Protocol error: ' + error.message)));
+    }));
+
+    socket.on('error', function () {});
+
+    socket.on('close', function () {
+      subscriptions.forEach(function (channel) {
+        unsubscribe(socket, channel);
+      });
+    });
+  });
+
+  return server;
+};
@@ -0,0 +1,161 @@
+/* jshint node:true */
+
+'use strict';
+
+var net = require('net');
+var EventEmitter = require('events').EventEmitter;
+var extend = require('../util').extend;
+var resp = require('./resp');
+
+//Cluster backend that passes messages over a Redis pub/sub channel,
+//or anything else that speaks the Redis protocol for PUBLISH and SUBSCRIBE
+//Uses two connections, since a subscribed connection can't publish
+//Emits reconnect once it's subscribed again after losing its connection, since messages
+//published in the meantime never reached it. Subscribing after close connects again
+module.exports = function (options) {
+
+  options = extend({
+    host: '127.0.0.1',
+    port: 6379,
+    password: null,
+    channel: 'socketio-signaler',
+    reconnectDelay: 1000
+  }, options);
+
+  var backend = extend(new EventEmitter(), {
+    handlers: [],
+    closed: false,
+    subscribed: false,
+
+    //Open a connection that reconnects by itself until it's closed
+    //onConnect is called with a write function every time the connection is (re)established
+    connect: function (onConnect, onReply) {
+      var connection = {
+        socket: null,
+        connected: false,
+        closed: false,
+        queue: []
+      };
+
+      function write(args) {
+        if (connection.connected) {
+          connection.socket.write(resp.encode(args));
+        } else {
+          connection.queue.push(args);
+        }
+      }
+
+      function open() {
+        var socket = net.connect(options.port, options.host);
+
+        connection.socket = socket;
+
+        socket.on('connect', function () {
+          connection.connected = true;
+          if (options.password) {
+            socket.write(resp.encode(['AUTH', options.password]));
+          }
+          onConnect(write);
+          connection.queue.splice(0).forEach(write);
+        });
+
+        socket.on('data', resp.createParser(function (reply) {
+          if (reply instanceof Error) {
+            return backend.fail(reply);
+          }
+          if (onReply) {
+            onReply(reply);
+          }
+        }, function (error) {
+          //Out of step with the server, start over on a new connection
+          backend.fail(error);
+          socket.destroy();
+        }));
+
+        socket.on('error', backend.fail.bind(backend));
+
+        socket.on('close', function () {
+          connection.connected = false;
+          if (!connection.closed) {
+            setTimeout(open, options.reconnectDelay);
+          }
+        });
+      }
+
+      connection.write = write;
+      open();
+
+      return connection;
+    },
+
+    //Report errors to the host app if it's listening, they are retried either way
+    fail: function (error) {
+      if (this.listeners('error').length) {
+        this.emit('error', error);
+      }
+    },
+
+    //Send a message to every node, including this one
+    publish: function (message) {
+      this.publisher.write(['PUBLISH', options.channel, JSON.stringify(message)]);
+    },
+
+    //Call handler with every message published on the channel
+    subscribe: function (handler) {
+      if (this.closed) {
+        this.open();
+      }
+      this.handlers.push(handler);
+    },
+
+    //Open the publishing and subscribed connections
+    open: function () {
+      this.closed = false;
+      this.subscribed = false;
+
+      this.publisher = this.connect(function () {});
+
+      this.subscriber = this.connect(function (write) {
+        write(['SUBSCRIBE', options.channel]);
+      }, function (reply) {
+        var message;
+
+        if (Array.isArray(reply) && reply[0] === 'subscribe' && reply[1] === options.channel) {
+          if (backend.subscribed) {
+            backend.emit('reconnect');
+          }
+          backend.subscribed = true;
+          return;
+        }
+
+        if (!Array.isArray(reply) || reply[0] !== 'message' || reply[1] !== options.channel) {
+          return;
+        }
+
+        try {
+          message = JSON.parse(reply[2]);
+        } catch (e) {
+          return backend.fail(e);
+        }
+
+        backend.handlers.forEach(function (handler) {
+          handler(message);
+        });
+      });
+    },
+
+    //Close both connections and forget every handler, until the next subscribe
+    close: function () {
+      this.closed = true;
+      this.handlers = [];
+      [this.publisher, this.subscriber].forEach(function (connection) {
+        connection.closed = true;
+        connection.socket.end();
+      });
+    }
+  });
+
+  backend.open();
+
+  return backend;
+};
@@ -0,0 +1,111 @@
+/* jshint node:true */
+
+'use strict';
+
+//Just enough of the Redis serialization protocol (RESP) for publish/subscribe
+
+//Encode a command as an array of bulk strings
+exports.encode = function (args) {
+  return '*' + args.length + '\r\n' + args.map(function (arg) {
+    arg = String(arg);
+    return '$' + Buffer.byteLength(arg) + '\r\n' + arg + '\r\n';
+  }).join('');
+};
+
+//Encode a reply - strings become bulk strings, arrays become arrays,
+//numbers become integers and Errors become error replies
+exports.encodeReply = function (value) {
+  if (value instanceof Error) {
+    return '-' + value.message + '\r\n';
+  }
+  if (typeof value === 'number') {
+    return ':' + value + '\r\n';
+  }
+  if (Array.isArray(value)) {
+    return '*' + value.length + '\r\n' + value.map(exports.encodeReply).join('');
+  }
+  if (value === null) {
+    return '$-1\r\n';
+  }
+  value = String(value);
+  return '$' + Buffer.byteLength(value) + '\r\n' + value + '\r\n';
+};
+
+//Streaming parser - feed it chunks as they arrive and it calls onReply for every complete value
+//Error replies are passed as Error objects. Input that isn't RESP is passed to onError, and
+//everything buffered is dropped since nothing after it can be trusted
+exports.createParser = function (onReply, onError) {
+  var buffer = Buffer.alloc(0);
+
+  //Parse one value starting at offset, returning [value, nextOffset] or null if incomplete
+  function parse(offset) {
+    var end = buffer.indexOf('\r\n', offset),
+      line,
+      length,
+      items,
+      item,
+      i;
+
+    if (end === -1) {
+      return null;
+    }
+
+    line = buffer.toString('utf8', offset + 1, end);
+
+    switch (String.fromCharCode(buffer[offset])) {
+    case '+':
+      return [line, end + 2];
+    case '-':
+      return [new Error(line), end + 2];
+    case ':':
+      return [parseInt(line, 10), end + 2];
+    case '$':
+      length = parseInt(line, 10);
+      if (length === -1) {
+        return [null, end + 2];
+      }
+      if (buffer.length < end + 2 + length + 2) {
+        return null;
+      }
+      return [buffer.toString('utf8', end + 2, end + 2 + length), end + 2 + length + 2];
+    case '*':
+      length = parseInt(line, 10);
+      if (length === -1) {
+        return [null, end + 2];
+      }
+      items = [];
+      offset = end + 2;
+      for (i = 0; i < length; i++) {
+        item = parse(offset);
+        if (!item) {
+          return null;
+        }
+        items.push(item[0]);
+        offset = item[1];
+      }
+      return [items, offset];
+    default:
+      throw new Error('Unexpected RESP type ' + String.fromCharCode(buffer[offset]));
+    }
+  }
+
+  return function (chunk) {
+    var result;
+
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length) {
+      try {
+        result = parse(0);
+      } catch (e) {
+        buffer = Buffer.alloc(0);
+        return onError(e);
+      }
+      if (!result) {
+        return;
+      }
+      buffer = buffer.slice(result[1]);
+      onReply(result[0]);
+    }
+  };
+};
@@ -0,0 +1,544 @@
+/* jshint node:true */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+//Read a setting given as text on the command line or in the environment, or as JSON in a config file
+//Each returns the value or throws an error saying what's wrong with it
+var types = {
+  port: function (value) {
+    var port = typeof value === 'number' ? value : Number(value);
+    if (value === '' || port % 1 !== 0 || port < 0 || port > 65535) {
+      throw new Error('must be a port number between 0 and 65535');
+    }
+    return port;
+  },
+
+  string: function (value) {
+    if (typeof value !== 'string' || !value) {
+      throw new Error('must not be empty');
+    }
+    return value;
+  },
+
+  //Comma separated on the command line, an array in a config file
+  list: function (value) {
+    var items = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+    if (!items) {
+      throw new Error('must be a list');
+    }
+    items = items.map(function (item) {
+      return typeof item === 'string' ? item.trim() : item;
+    });
+    if (!items.length || items.some(function (item) {
+        return typeof item !== 'string' || !item;
+      })) {
+      throw new Error('must be a list of names');
+    }
+    if (items.some(function (item, index) {
+        return items.indexOf(item) !== index;
+      })) {
+      throw new Error('must not name the same thing twice');
+    }
+    return items;
+  },
+
+  //true, false or "verbose", as the signaler's debug option
+  debug: function (value) {
+    if (value === true || value === 'true' || value === '1' || value === '') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    if (value === 'verbose') return value;
+    throw new Error('must be true, false or verbose');
+  },
+
+  level: function (value) {
+    if (['error', 'warn', 'info', 'debug', 'trace', 'silent'].indexOf(value) === -1) {
+      throw new Error('must be one of error, warn, info, debug, trace or silent');
+    }
+    return value;
+  },
+
+  format: function (value) {
+    if (value !== 'console' && value !== 'json') {
+      throw new Error('must be console or json');
+    }
+    return value;
+  },
+
+  //module=level pairs, comma separated on the command line or an object in a config file
+  levels: function (value) {
+    var result = {};
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.keys(value).forEach(function (module) {
+        result[module] = types.level(value[module]);
+      });
+      return result;
+    }
+
+    types.list(value).forEach(function (pair) {
+      var parts = pair.split('=');
+      if (parts.length !== 2 || !parts[0]) {
+        throw new Error('must be module=level pairs, e.g. cluster=debug,relay=trace');
+      }
+      result[parts[0].trim()] = types.level(parts[1].trim());
+    });
+
+    return result;
+  },
+
+  //Whole number of seconds, more than zero
+  seconds: function (value) {
+    var seconds = typeof value === 'number' ? value : Number(value);
+    if (value === '' || seconds % 1 !== 0 || seconds < 1) {
+      throw new Error('must be a whole number of seconds');
+    }
+    return seconds;
+  },
+
+  //Number of proxies in front of us, true for one and false for none
+  hops: function (value) {
+    var hops = typeof value === 'number' ? value : Number(value);
+    if (value === true || value === 'true' || value === '') return 1;
+    if (value === false || value === 'false') return 0;
+    if (hops % 1 !== 0 || hops < 0) {
+      throw new Error('must be true, false or a number of proxies');
+    }
+    return hops;
+  },
+
+  boolean: function (value) {
+    if (value === true || value === 'true' || value === '1' || value === '') return true;
+    if (value === false || value === 'false' || value === '0') return false;
+    throw new Error('must be true or false');
+  },
+
+  //File that has to exist, relative paths are resolved from base
+  file: function (value, base) {
+    var file = path.resolve(base, types.string(value));
+    if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      throw new Error('is not a file: ' + file);
+    }
+    return file;
+  },
+
+  //Directory that has to exist, relative paths are resolved from base
+  directory: function (value, base) {
+    var dir = path.resolve(base, types.string(value));
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error('is not a directory: ' + dir);
+    }
+    return dir;
+  }
+};
+
+//Every setting, its flag, environment variable and default
+//Flags are --name value or --name=value, boolean settings can also be given as a bare --name
+var settings = {
+  port: {
+    flag: 'port',
+    env: 'SIGNALER_PORT',
+    type: 'port',
+    value: 8083,
+    description: 'Port to listen on'
+  },
+  host: {
+    flag: 'host',
+    env: 'SIGNALER_HOST',
+    type: 'string',
+    value: null,
+    description: 'Address to listen on, every interface when not set'
+  },
+  rooms: {
+    flag: 'rooms',
+    env: 'SIGNALER_ROOMS',
+    type: 'list',
+    value: ['default'],
+    description: 'Comma separated rooms, each served on its own namespace'
+  },
+  debug: {
+    flag: 'debug',
+    env: 'SIGNALER_DEBUG',
+    type: 'debug',
+    bare: true,
+    value: false,
+    description: 'Log signaling activity, "verbose" includes ICE candidates. Short for --log-level debug or trace'
+  },
+  logLevel: {
+    flag: 'log-level',
+    env: 'SIGNALER_LOG_LEVEL',
+    type: 'level',
+    value: null,
+    description: 'Least severe level to log: error, warn, info, debug, trace or silent. Default: info'
+  },
+  logFormat: {
+    flag: 'log-format',
+    env: 'SIGNALER_LOG_FORMAT',
+    type: 'format',
+    value: 'console',
+    description: 'console for readable lines or json for one JSON object per line'
+  },
+  logModules: {
+    flag: 'log-modules',
+    env: 'SIGNALER_LOG_MODULES',
+    type: 'levels',
+    value: null,
+    description: 'Levels for single modules, e.g. cluster=debug,relay=trace'
+  },
+  staticDir: {
+    flag: 'static-dir',
+    env: 'SIGNALER_STATIC_DIR',
+    type: 'directory',
+    value: null,
+    description: 'Directory to serve over HTTP, nothing is served when not set'
+  },
+  tlsCert: {
+    flag: 'tls-cert',
+    env: 'SIGNALER_TLS_CERT',
+    type: 'file',
+    value: null,
+    description: 'PEM certificate to serve HTTPS with, needs --tls-key'
+  },
+  tlsKey: {
+    flag: 'tls-key',
+    env: 'SIGNALER_TLS_KEY',
+    type: 'file',
+    value: null,
+    description: 'PEM private key for --tls-cert'
+  },
+  tlsSelfSigned: {
+    flag: 'tls-self-signed',
+    env: 'SIGNALER_TLS_SELF_SIGNED',
+    type: 'boolean',
+    bare: true,
+    value: false,
+    description: 'Serve HTTPS with a certificate generated on startup, for development only'
+  },
+  redirectPort: {
+    flag: 'redirect-port',
+    env: 'SIGNALER_REDIRECT_PORT',
+    type: 'port',
+    value: null,
+    description: 'Port to answer plain HTTP on with a redirect to HTTPS'
+  },
+  stunUrls: {
+    flag: 'stun-urls',
+    env: 'SIGNALER_STUN_URLS',
+    type: 'list',
+    value: null,
+    description: 'Comma separated STUN URLs to give clients'
+  },
+  turnUrls: {
+    flag: 'turn-urls',
+    env: 'SIGNALER_TURN_URLS',
+    type: 'list',
+    value: null,
+    description: 'Comma separated turn: and turns: URLs to issue credentials for, needs --turn-secret'
+  },
+  turnSecret: {
+    flag: 'turn-secret',
+    env: 'SIGNALER_TURN_SECRET',
+    type: 'string',
+    value: null,
+    description: 'Secret shared with the TURN server (use-auth-secret in coturn), prefer the environment variable'
+  },
+  turnTtl: {
+    flag: 'turn-ttl',
+    env: 'SIGNALER_TURN_TTL',
+    type: 'seconds',
+    value: 86400,
+    description: 'How long TURN credentials last'
+  },
+  authSecret: {
+    flag: 'auth-secret',
+    env: 'SIGNALER_AUTH_SECRET',
+    type: 'string',
+    value: null,
+    description: 'Secret for the HS256 tokens clients connect and fetch /turn-credentials with, anyone can connect when not set, prefer the environment variable'
+  },
+  trustProxy: {
+    flag: 'trust-proxy',
+    env: 'SIGNALER_TRUST_PROXY',
+    type: 'hops',
+    bare: true,
+    value: 0,
+    description: 'Take client addresses from X-Forwarded-For as set by this many proxies in front of us, one when given bare'
+  },
+  adminToken: {
+    flag: 'admin-token',
+    env: 'SIGNALER_ADMIN_TOKEN',
+    type: 'string',
+    value: null,
+    description: 'Bearer token for the admin API at /admin, which is off when not set, prefer the environment variable'
+  },
+  metrics: {
+    flag: 'metrics',
+    env: 'SIGNALER_METRICS',
+    type: 'boolean',
+    bare: true,
+    value: false,
+    description: 'Serve Prometheus metrics at /metrics'
+  },
+  drainTimeout: {
+    flag: 'drain-timeout',
+    env: 'SIGNALER_DRAIN_TIMEOUT',
+    type: 'seconds',
+    value: 30,
+    description: 'How long to let peers finish negotiating on SIGTERM or SIGINT before closing'
+  },
+  drainServer: {
+    flag: 'drain-server',
+    env: 'SIGNALER_DRAIN_SERVER',
+    type: 'string',
+    value: null,
+    description: 'Address of another signaler to send clients to when shutting down, e.g. https://standby.example.com/'
+  }
+};
+
+//Settings that only make sense together, returns an error message or null
+function checkCombinations(config) {
+  if (Boolean(config.tlsCert) !== Boolean(config.tlsKey)) {
+    return '--tls-cert and --tls-key must be given together';
+  }
+  if (config.tlsCert && config.tlsSelfSigned) {
+    return '--tls-self-signed can\'t be used with --tls-cert';
+  }
+  if (config.redirectPort !== null && !config.tlsCert && !config.tlsSelfSigned) {
+    return '--redirect-port needs HTTPS, give --tls-cert and --tls-key or --tls-self-signed';
+  }
+  if (Boolean(config.turnSecret) !== Boolean(config.turnUrls)) {
+    return '--turn-urls and --turn-secret must be given together';
+  }
+  //Every socket is handed TURN credentials, so without authentication anyone could relay through the TURN server
+  if (config.turnSecret && !config.authSecret) {
+    return '--turn-secret needs --auth-secret';
+  }
+  if (config.redirectPort !== null && config.redirectPort === config.port && config.port !== 0) {
+    return '--redirect-port must differ from --port';
+  }
+  return null;
+}
+
+//Error for a bad setting, naming where it came from if it came from one place
+function configError(source, message) {
+  var error = new Error(source ? source + ' ' + message : message);
+  error.code = 'config_invalid';
+  return error;
+}
+
+function findByFlag(flag) {
+  return Object.keys(settings).filter(function (name) {
+    return settings[name].flag === flag;
+  })[0];
+}
+
+function read(name, value, source, base) {
+  try {
+    return types[settings[name].type](value, base);
+  } catch (e) {
+    throw configError(source, e.message);
+  }
+}
+
+//Split command line arguments into { flag: value }
+function parseArgs(argv) {
+  var flags = {},
+    arg,
+    match,
+    name,
+    i;
+
+  for (i = 0; i < argv.length; i++) {
+    arg = argv[i];
+    match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+
+    if (!match) {
+      throw configError('Argument', arg + ' is not an option');
+    }
+
+    if (match[1] === 'help' || match[1] === 'config') {
+      name = match[1];
+    } else {
+      name = findByFlag(match[1]);
+      if (!name) {
+        throw configError('Option', '--' + match[1] + ' is not known');
+      }
+    }
+
+    if (match[2] !== undefined) {
+      flags[name] = match[2];
+    } else if (name === 'help' || (settings[name] && settings[name].bare && (i + 1 === argv.length || /^--/.test(argv[i + 1])))) {
+      flags[name] = true;
+    } else if (i + 1 < argv.length) {
+      flags[name] = argv[++i];
+    } else {
+      throw configError('Option', '--' + match[1] + ' needs a value');
+    }
+  }
+
+  return flags;
+}
+
+//Read a JSON config file, keys are setting names like "port" and "staticDir"
+function readFile(file) {
+  var config;
+
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw configError('Config file', file + ' could not be read: ' + e.message);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw configError('Config file', file + ' must contain an object');
+  }
+
+  Object.keys(config).forEach(function (key) {
+    if (!settings[key]) {
+      throw configError('Config file', file + ' has an unknown setting "' + key + '"');
+    }
+  });
+
+  return config;
+}
+
+//Work out the settings from the defaults, a config file, the environment and the command line, later ones win
+//Returns the settings, or { help: true } when --help was given
+exports.load = function (argv, env) {
+  var flags = parseArgs(argv || []),
+    config = {},
+    file,
+    fileSettings = {},
+    error;
+
+  env = env || {};
+
+  if (flags.help) {
+    return {
+      help: true
+    };
+  }
+
+  Object.keys(settings).forEach(function (name) {
+    config[name] = settings[name].value;
+  });
+
+  file = flags.config || env.SIGNALER_CONFIG;
+  if (file) {
+    file = path.resolve(file);
+    fileSettings = readFile(file);
+    config.configFile = file;
+  }
+
+  Object.keys(settings).forEach(function (name) {
+    var setting = settings[name];
+
+    if (fileSettings[name] !== undefined && fileSettings[name] !== null) {
+      config[name] = read(name, fileSettings[name], 'Config setting "' + name + '"', path.dirname(file));
+    }
+    if (env[setting.env] !== undefined) {
+      config[name] = read(name, env[setting.env], setting.env, process.cwd());
+    }
+    if (flags[name] !== undefined) {
+      config[name] = read(name, flags[name], '--' + setting.flag, process.cwd());
+    }
+  });
+
+  error = checkCombinations(config);
+  if (error) {
+    throw configError(null, error);
+  }
+
+  config.tls = !!(config.tlsCert || config.tlsSelfSigned);
+
+  //--debug stands in for a log level when none is given
+  if (!config.logLevel) {
+    config.logLevel = config.debug === 'verbose' ? 'trace' : config.debug ? 'debug' : 'info';
+  }
+
+  return config;
+};
+
+//Usage text for --help
+exports.usage = function () {
+  var lines = [
+    'Usage: signaler [options]',
+    '',
+    'Options:'
+  ];
+
+  Object.keys(settings).forEach(function (name) {
+    var setting = settings[name];
+    lines.push('  --' + setting.flag + (setting.bare ? '' : ' <value>'));
+    lines.push('      ' + setting.description + '. Environment: ' + setting.env +
+      (setting.value !== null ? '. Default: ' + JSON.stringify(setting.value) : ''));
+  });
+
+  lines.push('  --config <file>');
+  lines.push('      JSON file with any of the settings above, e.g. { "port": 80, "staticDir": "public" }. Environment: SIGNALER_CONFIG');
+  lines.push('  --help');
+  lines.push('      Show this message');
+  lines.push('');
+  lines.push('Command line options win over environment variables, which win over the config file.');
+
+  return lines.join('\n');
+};
+
+//Summary of the settings to print on startup
+exports.describe = function (config) {
+  var lines = [
+    'Signaler listening on ' + (config.tls ? 'https' : 'http') + '://' + (config.host || '*') + ':' + config.port,
+    '  rooms: ' + config.rooms.map(function (room) {
+      return '/' + room;
+    }).join(', '),
+    '  static files: ' + (config.staticDir || 'none'),
+    '  logging: ' + config.logLevel + ' as ' + config.logFormat + (config.logModules ? ', ' + Object.keys(config.logModules).map(function (module) {
+      return module + '=' + config.logModules[module];
+    }).join(', ') : '')
+  ];
+
+  if (config.tlsSelfSigned) {
+    lines.push('  self-signed certificate: ' + config.fingerprint);
+  }
+
+  if (config.stunUrls) {
+    lines.push('  STUN: ' + config.stunUrls.join(', '));
+  }
+
+  if (config.turnUrls) {
+    lines.push('  TURN: ' + config.turnUrls.join(', ') + ', credentials last ' + config.turnTtl + 's' +
+      ' and are served at /turn-credentials');
+  }
+
+  if (config.authSecret) {
+    lines.push('  authentication: HS256 tokens');
+  }
+
+  if (config.trustProxy) {
+    lines.push('  client addresses: X-Forwarded-For from ' + config.trustProxy + (config.trustProxy === 1 ? ' proxy' : ' proxies'));
+  }
+
+  if (config.adminToken) {
+    lines.push('  admin API: /admin');
+  }
+
+  if (config.metrics) {
+    lines.push('  metrics: /metrics');
+  }
+
+  if (config.drainServer) {
+    lines.push('  on shutdown: clients move to ' + config.drainServer);
+  }
+
+  if (config.redirectPort !== null) {
+    lines.push('  redirecting http://' + (config.host || '*') + ':' + config.redirectPort + ' to HTTPS');
+  }
+
+  if (config.configFile) {
+    lines.push('  config file: ' + config.configFile);
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,181 @@
+/* jshint node:true */
+
+'use strict';
+
+var extend = require('./util').extend;
+
+//Most to least severe, a logger set to a level writes it and everything above it
+var levels = {
+  silent: -1,
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3,
+  trace: 4
+};
+
+//Field value as written by the console sink, quoted when it has spaces or quotes
+function formatField(value) {
+  var text = typeof value === 'string' ? value : JSON.stringify(value);
+
+  if (text === undefined) {
+    return 'undefined';
+  }
+
+  return /[\s"=]/.test(text) ? JSON.stringify(text) : text;
+}
+
+//Where records go, each is called with { time, level, module, message, ...fields }
+var sinks = {
+  //Human readable lines, errors and warnings on stderr
+  console: function (record) {
+    var fields = Object.keys(record).filter(function (key) {
+        return ['time', 'level', 'module', 'message'].indexOf(key) === -1;
+      }).map(function (key) {
+        return key + '=' + formatField(record[key]);
+      }),
+      line = record.time + ' ' + (record.level.toUpperCase() + '    ').slice(0, 5) + ' [' + record.module + '] ' +
+      record.message + (fields.length ? ' ' + fields.join(' ') : '');
+
+    if (levels[record.level] <= levels.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  },
+
+  //One JSON object per line on stdout, for log collectors
+  json: function (record) {
+    var line;
+
+    try {
+      line = JSON.stringify(record);
+    } catch (e) {
+      line = JSON.stringify({
+        time: record.time,
+        level: record.level,
+        module: record.module,
+        message: record.message
+      });
+    }
+
+    process.stdout.write(line + '\n');
+  }
+};
+
+//Check a level name, throwing if it isn't one
+function checkLevel(level) {
+  if (!levels.hasOwnProperty(level)) {
+    throw new Error('Unknown log level ' + level + ', use one of ' + Object.keys(levels).join(', '));
+  }
+  return level;
+}
+
+//Level the old debug option stood for
+function levelForDebug(debug) {
+  if (debug === 'verbose') return 'trace';
+  if (debug) return 'debug';
+  return 'warn';
+}
+
+//Create a logger writing records at or above opts.level to opts.sink
+//opts.sink is 'console', 'json', a function taking each record or an array of these
+//opts.modules sets the level for single modules, e.g. { cluster: 'debug', relay: 'trace' }
+//opts.fields are added to every record
+function createLogger(opts) {
+
+  opts = extend({
+    level: 'info',
+    modules: {},
+    sink: 'console',
+    fields: {}
+  }, opts);
+
+  checkLevel(opts.level);
+  Object.keys(opts.modules).forEach(function (module) {
+    checkLevel(opts.modules[module]);
+  });
+
+  var write = [].concat(opts.sink).map(function (sink) {
+    if (typeof sink === 'function') {
+      return sink;
+    }
+    if (!sinks[sink]) {
+      throw new Error('Unknown log sink ' + sink + ', use console, json or a function');
+    }
+    return sinks[sink];
+  });
+
+  function create(module, fields) {
+    var threshold = levels[opts.modules[module] || opts.level],
+      logger;
+
+    logger = {
+      module: module,
+
+      //Whether a level is written, to skip building expensive fields
+      enabled: function (level) {
+        return levels[level] <= threshold;
+      },
+
+      log: function (level, message, extra) {
+        var record;
+
+        if (!this.enabled(level)) {
+          return;
+        }
+
+        record = extend({
+          time: new Date().toISOString(),
+          level: level,
+          module: module,
+          message: message
+        }, fields, extra);
+
+        write.forEach(function (sink) {
+          try {
+            sink(record);
+          } catch (e) {
+            //A broken sink shouldn't take the signaler down with it
+          }
+        });
+      },
+
+      //Logger for another module sharing this one's settings and fields
+      child: function (childModule, childFields) {
+        return create(childModule || module, extend({}, fields, childFields));
+      }
+    };
+
+    Object.keys(levels).forEach(function (level) {
+      if (level !== 'silent') {
+        logger[level] = function (message, extra) {
+          logger.log(level, message, extra);
+        };
+      }
+    });
+
+    return logger;
+  }
+
+  return create('signaler', opts.fields);
+}
+
+//Logger for a component from its options: options.logger may be a logger to use as is or
+//the options to create one with. Without a level, the debug option decides it
+createLogger.from = function (options, module) {
+  var logger = options.logger;
+
+  if (!logger || typeof logger.child !== 'function') {
+    logger = createLogger(extend({
+      level: levelForDebug(options.debug)
+    }, logger));
+  }
+
+  return logger.child(module);
+};
+
+createLogger.levels = Object.keys(levels);
+createLogger.sinks = sinks;
+
+module.exports = createLogger;
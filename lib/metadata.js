@@ -0,0 +1,61 @@
+/* jshint node:true */
+
+'use strict';
+
+//Whether a value is a plain JSON object - not an array, not null
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+//Whether metadata is an object that serializes within maxSize characters
+exports.isValid = function (metadata, maxSize) {
+  var json;
+
+  if (!isObject(metadata)) {
+    return false;
+  }
+
+  try {
+    json = JSON.stringify(metadata);
+  } catch (e) {
+    return false;
+  }
+
+  return !maxSize || json.length <= maxSize;
+};
+
+//Read the metadata a client sent as JSON in its handshake query, falling back to an empty object
+exports.parse = function (raw, maxSize) {
+  var metadata;
+
+  if (typeof raw !== 'string' || !raw) {
+    return {};
+  }
+
+  try {
+    metadata = JSON.parse(raw);
+  } catch (e) {
+    return {};
+  }
+
+  return exports.isValid(metadata, maxSize) ? metadata : {};
+};
+
+//Apply a patch on top of existing metadata, keys set to null are removed
+exports.merge = function (current, patch) {
+  var merged = {};
+
+  Object.keys(current || {}).forEach(function (key) {
+    merged[key] = current[key];
+  });
+
+  Object.keys(patch).forEach(function (key) {
+    if (patch[key] === null) {
+      delete merged[key];
+    } else {
+      merged[key] = patch[key];
+    }
+  });
+
+  return merged;
+};
@@ -0,0 +1,435 @@
+/* jshint node:true */
+
+'use strict';
+
+var extend = require('./util').extend;
+
+//Seconds, from half a millisecond to a few seconds for relays through a busy cluster
+var defaultBuckets = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+//Label set as written in the exposition format, e.g. {room="lobby",type="offer"}
+function formatLabels(labels) {
+  var keys = Object.keys(labels);
+
+  if (!keys.length) {
+    return '';
+  }
+
+  return '{' + keys.map(function (key) {
+    return key + '="' + escapeLabel(labels[key]) + '"';
+  }).join(',') + '}';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+//Values of one metric by label set, keeping the labels to write them out again
+function createSeries(labelNames) {
+  return {
+    values: {},
+
+    key: function (labels) {
+      return JSON.stringify(labelNames.map(function (name) {
+        return labels && labels[name] !== undefined ? String(labels[name]) : '';
+      }));
+    },
+
+    //Value kept for a label set, created with init on first use
+    get: function (labels, init) {
+      var key = this.key(labels),
+        picked = {};
+
+      if (!this.values[key]) {
+        labelNames.forEach(function (name) {
+          picked[name] = labels && labels[name] !== undefined ? labels[name] : '';
+        });
+        this.values[key] = {
+          labels: picked,
+          value: init()
+        };
+      }
+
+      return this.values[key];
+    },
+
+    remove: function (labels) {
+      delete this.values[this.key(labels)];
+    },
+
+    each: function (fn) {
+      Object.keys(this.values).forEach(function (key) {
+        fn(this.values[key].labels, this.values[key].value);
+      }, this);
+    },
+
+    reset: function () {
+      this.values = {};
+    }
+  };
+}
+
+//Metrics in the Prometheus text exposition format
+//Counters and histograms are updated as things happen, gauges can also be worked out
+//when metrics are read by giving them a collect function
+exports.createRegistry = function () {
+  return {
+    metrics: {},
+
+    add: function (name, type, help, labelNames, extra) {
+      if (this.metrics[name]) {
+        throw new Error('Metric ' + name + ' is already registered');
+      }
+
+      this.metrics[name] = extend({
+        name: name,
+        type: type,
+        help: help,
+        series: createSeries(labelNames || [])
+      }, extra);
+
+      return this.metrics[name];
+    },
+
+    //Value that only goes up, like messages relayed
+    counter: function (name, help, labelNames) {
+      var metric = this.add(name, 'counter', help, labelNames);
+
+      return {
+        inc: function (labels, value) {
+          metric.series.get(labels, function () {
+            return 0;
+          }).value += value === undefined ? 1 : value;
+        },
+        get: function (labels) {
+          return metric.series.get(labels, function () {
+            return 0;
+          }).value;
+        },
+        //Forget a label set that won't be seen again
+        remove: function (labels) {
+          metric.series.remove(labels);
+        }
+      };
+    },
+
+    //Value that goes up and down, like connected sockets
+    //collect, if given, is called with the gauge before every read to set its values
+    gauge: function (name, help, labelNames, collect) {
+      var metric = this.add(name, 'gauge', help, labelNames),
+        gauge = {
+          set: function (labels, value) {
+            metric.series.get(labels, function () {
+              return 0;
+            }).value = value;
+          },
+          inc: function (labels, value) {
+            metric.series.get(labels, function () {
+              return 0;
+            }).value += value === undefined ? 1 : value;
+          },
+          dec: function (labels, value) {
+            gauge.inc(labels, -(value === undefined ? 1 : value));
+          },
+          get: function (labels) {
+            return metric.series.get(labels, function () {
+              return 0;
+            }).value;
+          }
+        };
+
+      if (collect) {
+        //Series that are gone since the last read shouldn't linger
+        metric.collect = function () {
+          metric.series.reset();
+          collect(gauge);
+        };
+      }
+
+      return gauge;
+    },
+
+    //Distribution of observed values, like relay latency in seconds
+    histogram: function (name, help, labelNames, buckets) {
+      var metric = this.add(name, 'histogram', help, labelNames, {
+        buckets: (buckets || defaultBuckets).slice().sort(function (a, b) {
+          return a - b;
+        })
+      });
+
+      function init() {
+        return {
+          counts: metric.buckets.map(function () {
+            return 0;
+          }),
+          sum: 0,
+          count: 0
+        };
+      }
+
+      return {
+        observe: function (labels, value) {
+          var entry = metric.series.get(labels, init).value;
+
+          metric.buckets.forEach(function (bound, index) {
+            if (value <= bound) {
+              entry.counts[index]++;
+            }
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+        get: function (labels) {
+          return metric.series.get(labels, init).value;
+        }
+      };
+    },
+
+    //Every metric as text for Prometheus to scrape
+    text: function () {
+      var lines = [];
+
+      Object.keys(this.metrics).forEach(function (name) {
+        var metric = this.metrics[name];
+
+        if (metric.collect) {
+          metric.collect();
+        }
+
+        lines.push('# HELP ' + name + ' ' + metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n'));
+        lines.push('# TYPE ' + name + ' ' + metric.type);
+
+        metric.series.each(function (labels, value) {
+          if (metric.type !== 'histogram') {
+            lines.push(name + formatLabels(labels) + ' ' + formatValue(value));
+            return;
+          }
+
+          metric.buckets.forEach(function (bound, index) {
+            lines.push(name + '_bucket' + formatLabels(extend({}, labels, {
+              le: formatValue(bound)
+            })) + ' ' + value.counts[index]);
+          });
+          lines.push(name + '_bucket' + formatLabels(extend({}, labels, {
+            le: '+Inf'
+          })) + ' ' + value.count);
+          lines.push(name + '_sum' + formatLabels(labels) + ' ' + value.sum);
+          lines.push(name + '_count' + formatLabels(labels) + ' ' + value.count);
+        });
+      }, this);
+
+      return lines.join('\n') + '\n';
+    },
+
+    //Every metric as plain objects, for apps that report metrics some other way
+    toJSON: function () {
+      return Object.keys(this.metrics).map(function (name) {
+        var metric = this.metrics[name],
+          values = [];
+
+        if (metric.collect) {
+          metric.collect();
+        }
+
+        metric.series.each(function (labels, value) {
+          values.push({
+            labels: labels,
+            value: metric.type === 'histogram' ? {
+              buckets: metric.buckets,
+              counts: value.counts.slice(),
+              sum: value.sum,
+              count: value.count
+            } : value
+          });
+        });
+
+        return {
+          name: name,
+          type: metric.type,
+          help: metric.help,
+          values: values
+        };
+      }, this);
+    },
+
+    //Request handler for Express or a plain http server serving text()
+    handler: function () {
+      return function (req, res) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.end(this.text());
+      }.bind(this);
+    }
+  };
+};
+
+//Record signaling traffic from one or more signalers in a registry
+//opts.registry is a registry to add to, a new one is created without it
+//opts.prefix starts every metric name, opts.roomLabels puts room names in labels, which is off
+//by default since clients pick them and every name would be a series, opts.buckets are the latency buckets
+//Returns the registry
+module.exports = function (signallers, opts) {
+
+  opts = extend({
+    registry: null,
+    prefix: 'signaler_',
+    roomLabels: false,
+    buckets: defaultBuckets
+  }, opts);
+
+  signallers = [].concat(signallers);
+
+  var registry = opts.registry || exports.createRegistry(),
+    prefix = opts.prefix,
+    connections = registry.counter(prefix + 'connections_total', 'Sockets that connected', ['namespace']),
+    disconnections = registry.counter(prefix + 'disconnections_total', 'Peers that left for good', ['namespace']),
+    joins = registry.counter(prefix + 'joins_total', 'Peers that joined a room', ['namespace', 'room']),
+    leaves = registry.counter(prefix + 'leaves_total', 'Peers that left a room', ['namespace', 'room']),
+    relayed = registry.counter(prefix + 'messages_relayed_total', 'Targeted messages delivered, by protocol message', ['namespace', 'type']),
+    failures = registry.counter(prefix + 'relay_failures_total', 'Targeted messages that were not delivered, by reason', ['namespace', 'type', 'reason']),
+    invalid = registry.counter(prefix + 'invalid_messages_total', 'Messages rejected for not matching their schema', ['namespace', 'type']),
+    limited = registry.counter(prefix + 'rate_limited_total', 'Connections and messages over the rate limits, by what was done about it', ['namespace', 'type', 'action']),
+    authFailures = registry.counter(prefix + 'authentication_failures_total', 'Connections refused by authenticate', ['namespace', 'code']),
+    latency = registry.histogram(prefix + 'relay_latency_seconds', 'Time from receiving a targeted message to delivering it', ['namespace', 'type'], opts.buckets);
+
+  function namespaceOf(signaller) {
+    return signaller.options.namespace;
+  }
+
+  function roomLabel(room) {
+    return opts.roomLabels ? room : '';
+  }
+
+  registry.gauge(prefix + 'rooms', 'Open rooms', ['namespace'], function (gauge) {
+    signallers.forEach(function (signaller) {
+      gauge.set({
+        namespace: namespaceOf(signaller)
+      }, Object.keys(signaller.rooms).length);
+    });
+  });
+
+  registry.gauge(prefix + 'connected_sockets', 'Peers in each room, including those that may still resume', ['namespace', 'room'], function (gauge) {
+    signallers.forEach(function (signaller) {
+      Object.keys(signaller.rooms).forEach(function (name) {
+        gauge.inc({
+          namespace: namespaceOf(signaller),
+          room: roomLabel(name)
+        }, signaller.rooms[name].size());
+      });
+    });
+  });
+
+  registry.gauge(prefix + 'peers', 'Peers connected to the signaler, in a room or not', ['namespace'], function (gauge) {
+    signallers.forEach(function (signaller) {
+      gauge.set({
+        namespace: namespaceOf(signaller)
+      }, signaller.sessions.all().length);
+    });
+  });
+
+  signallers.forEach(function (signaller) {
+    var namespace = namespaceOf(signaller);
+
+    function relayDone(details) {
+      relayed.inc({
+        namespace: namespace,
+        type: details.type
+      });
+      latency.observe({
+        namespace: namespace,
+        type: details.type
+      }, details.latency);
+    }
+
+    signaller.on('connection', function () {
+      connections.inc({
+        namespace: namespace
+      });
+    });
+
+    signaller.on('disconnect', function () {
+      disconnections.inc({
+        namespace: namespace
+      });
+    });
+
+    signaller.on('join', function (details) {
+      joins.inc({
+        namespace: namespace,
+        room: roomLabel(details.room)
+      });
+    });
+
+    signaller.on('leave', function (details) {
+      leaves.inc({
+        namespace: namespace,
+        room: roomLabel(details.room)
+      });
+    });
+
+    //A closed room's series would stay around for good otherwise
+    signaller.on('roomClosed', function (room) {
+      var labels = {
+        namespace: namespace,
+        room: room.name
+      };
+
+      if (opts.roomLabels) {
+        joins.remove(labels);
+        leaves.remove(labels);
+      }
+    });
+
+    ['offer', 'answer', 'candidate', 'peerConnected', 'streamRemoved'].forEach(function (event) {
+      signaller.on(event, relayDone);
+    });
+
+    signaller.on('relayFailed', function (details) {
+      failures.inc({
+        namespace: namespace,
+        type: details.type,
+        reason: details.reason
+      });
+    });
+
+    signaller.on('relayRejected', function (details) {
+      failures.inc({
+        namespace: namespace,
+        type: details.type,
+        reason: 'rejected'
+      });
+    });
+
+    signaller.on('invalidMessage', function (details) {
+      invalid.inc({
+        namespace: namespace,
+        type: details.type
+      });
+    });
+
+    signaller.on('rateLimited', function (details) {
+      limited.inc({
+        namespace: namespace,
+        type: details.type,
+        action: details.action
+      });
+    });
+
+    signaller.on('authenticationFailed', function (details) {
+      authFailures.inc({
+        namespace: namespace,
+        code: (details.error && details.error.code) || 'unauthorized'
+      });
+    });
+  });
+
+  return registry;
+};
+
+module.exports.createRegistry = exports.createRegistry;
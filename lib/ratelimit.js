@@ -0,0 +1,270 @@
+/* jshint node:true */
+
+'use strict';
+
+var extend = require('./util').extend;
+
+//Token bucket limits, rate is tokens per second and burst is the bucket size
+//Message limits apply per socket and per message type, '*' covers types without their own
+var defaultEvents = {
+  '*': {
+    rate: 20,
+    burst: 40
+  },
+  offer: {
+    rate: 10,
+    burst: 30
+  },
+  answer: {
+    rate: 10,
+    burst: 30
+  },
+  icecandidate: {
+    rate: 50,
+    burst: 200
+  },
+  list: {
+    rate: 1,
+    burst: 5
+  },
+  geticeservers: {
+    rate: 1,
+    burst: 5
+  },
+  join: {
+    rate: 2,
+    burst: 10
+  },
+  leave: {
+    rate: 2,
+    burst: 10
+  },
+  updatemetadata: {
+    rate: 2,
+    burst: 10
+  }
+};
+
+//Refill a bucket for the time that passed and take a token if there is one
+function take(bucket, rule, now) {
+  bucket.tokens = Math.min(rule.burst, bucket.tokens + (now - bucket.last) / 1000 * rule.rate);
+  bucket.last = now;
+
+  if (bucket.tokens < 1) {
+    return false;
+  }
+
+  bucket.tokens -= 1;
+  return true;
+}
+
+function createBucket(rule, now) {
+  return {
+    tokens: rule.burst,
+    last: now
+  };
+}
+
+//Flood protection for the signaling server
+//Every message is checked against the sender's bucket for that message type and a bucket
+//shared by every socket from the same address. Messages over the limit count as violations
+//against the address, and the number of recent violations decides what happens:
+//  warn - let the message through but tell the client to slow down
+//  drop - throw the message away
+//  disconnect - throw the message away and disconnect the socket
+//  ban - disconnect and refuse new connections from the address for banDuration
+module.exports = function (options) {
+
+  options = extend({
+    events: {},
+    perIp: {
+      rate: 200,
+      burst: 600
+    },
+    connections: {
+      rate: 5,
+      burst: 20
+    },
+    escalation: {},
+    violationWindow: 60000,
+    banDuration: 600000
+  }, options);
+
+  var events = extend({}, defaultEvents, options.events),
+    escalation = extend({
+      warn: 1,
+      drop: 10,
+      disconnect: 50,
+      ban: 100
+    }, options.escalation);
+
+  return {
+    //By address, without prototypes as addresses can come from X-Forwarded-For
+    addresses: Object.create(null),
+    bans: Object.create(null),
+    lastSweep: Date.now(),
+    counters: {
+      limited: 0,
+      warned: 0,
+      dropped: 0,
+      disconnected: 0,
+      banned: 0,
+      refused: 0,
+      byEvent: {}
+    },
+
+    //State kept for an address, created on first use
+    getAddress: function (address, now) {
+      if (!this.addresses[address]) {
+        this.addresses[address] = {
+          messages: createBucket(options.perIp, now),
+          connections: createBucket(options.connections, now),
+          violations: 0,
+          lastViolation: 0,
+          lastSeen: now
+        };
+      }
+      this.addresses[address].lastSeen = now;
+      return this.addresses[address];
+    },
+
+    //Whether an address is banned right now
+    isBanned: function (address, now) {
+      now = now || Date.now();
+      if (!(address in this.bans)) {
+        return false;
+      }
+      if (this.bans[address] !== null && this.bans[address] <= now) {
+        delete this.bans[address];
+        return false;
+      }
+      return true;
+    },
+
+    //Refuse connections from an address for duration milliseconds, banDuration when not given,
+    //or for good with a null duration
+    ban: function (address, duration) {
+      this.bans[address] = duration === null ? null : Date.now() + (duration || options.banDuration);
+    },
+
+    //Lift a ban early
+    unban: function (address) {
+      delete this.bans[address];
+    },
+
+    //Check a new connection from an address
+    //Returns 'allow', 'ban' if the address is banned or 'drop' if it's connecting too fast
+    checkConnection: function (address) {
+      var now = Date.now();
+
+      this.sweep(now);
+
+      if (this.isBanned(address, now)) {
+        this.counters.refused++;
+        return 'ban';
+      }
+
+      if (!take(this.getAddress(address, now).connections, options.connections, now)) {
+        this.counters.refused++;
+        return 'drop';
+      }
+
+      return 'allow';
+    },
+
+    //Check a message of the given type from a socket
+    //socketState is an object kept with the socket for its own buckets
+    //Returns 'allow', 'warn', 'drop', 'disconnect' or 'ban'
+    checkMessage: function (socketState, address, type) {
+      var now = Date.now(),
+        rule = events[type] || events['*'],
+        state = this.getAddress(address, now),
+        bucket,
+        socketOk,
+        addressOk,
+        action;
+
+      socketState.buckets = socketState.buckets || {};
+      bucket = socketState.buckets[type] = socketState.buckets[type] || createBucket(rule, now);
+
+      //Check both so a burst from one socket also drains the address
+      socketOk = take(bucket, rule, now);
+      addressOk = take(state.messages, options.perIp, now);
+
+      if (socketOk && addressOk) {
+        return 'allow';
+      }
+
+      //Violations are forgotten once an address behaves for violationWindow
+      if (now - state.lastViolation > options.violationWindow) {
+        state.violations = 0;
+      }
+      state.violations++;
+      state.lastViolation = now;
+
+      action = this.escalate(state.violations);
+
+      this.counters.limited++;
+      this.counters.byEvent[type] = (this.counters.byEvent[type] || 0) + 1;
+
+      switch (action) {
+      case 'warn':
+        this.counters.warned++;
+        break;
+      case 'drop':
+        this.counters.dropped++;
+        break;
+      case 'disconnect':
+        this.counters.dropped++;
+        this.counters.disconnected++;
+        break;
+      case 'ban':
+        this.counters.dropped++;
+        this.counters.disconnected++;
+        this.counters.banned++;
+        this.ban(address);
+        state.violations = 0;
+        break;
+      }
+
+      return action;
+    },
+
+    //Action for a number of recent violations
+    escalate: function (violations) {
+      if (escalation.ban && violations >= escalation.ban) return 'ban';
+      if (escalation.disconnect && violations >= escalation.disconnect) return 'disconnect';
+      if (escalation.drop && violations >= escalation.drop) return 'drop';
+      if (escalation.warn && violations >= escalation.warn) return 'warn';
+      return 'drop';
+    },
+
+    //Forget addresses that have been quiet long enough to have full buckets again
+    sweep: function (now) {
+      if (now - this.lastSweep < options.violationWindow) {
+        return;
+      }
+
+      this.lastSweep = now;
+
+      Object.keys(this.addresses).forEach(function (address) {
+        if (now - this.addresses[address].lastSeen > options.violationWindow) {
+          delete this.addresses[address];
+        }
+      }, this);
+
+      Object.keys(this.bans).forEach(function (address) {
+        this.isBanned(address, now);
+      }, this);
+    },
+
+    //Counters and current bans for the host app
+    stats: function () {
+      return extend({}, this.counters, {
+        byEvent: extend({}, this.counters.byEvent),
+        addresses: Object.keys(this.addresses).length,
+        bans: extend({}, this.bans)
+      });
+    }
+  };
+};
@@ -0,0 +1,233 @@
+/* jshint node:true, esversion:6 */
+
+'use strict';
+
+var extend = require('./util').extend;
+var createLogger = require('./logger');
+
+//What other peers get to know about a socket
+function describePeer(socket) {
+  return {
+    id: socket.peerId,
+    metadata: socket.session ? socket.session.metadata : {}
+  };
+}
+
+//A single signaling room - the set of sockets that can see and signal each other
+module.exports = function (name, options) {
+
+  options = options || {};
+
+  var log = createLogger.from(options, 'rooms');
+
+  return {
+    name: name,
+    createdAt: Date.now(),
+
+    //Persistent rooms stay around when the last member leaves
+    persistent: !!options.persistent,
+
+    //Members by peer ID, in the order they joined
+    peers: new Map(),
+
+    //Members by socket.io socket ID
+    sockets: new Map(),
+
+    //Peer IDs by authenticated user ID as a string, like ban keys - a user can be in the room from several tabs
+    users: new Map(),
+
+    //Running totals for getStats
+    counters: {
+      joins: 0,
+      leaves: 0,
+      peakSize: 0,
+      relayed: {},
+      failed: {}
+    },
+
+    //Sockets in the order they joined
+    get clients() {
+      return Array.from(this.peers.values());
+    },
+
+    //Find a user by peer ID
+    findSocket: function (id) {
+      return this.peers.get(id) || false;
+    },
+
+    //Find a user by socket.io socket ID
+    findBySocketId: function (id) {
+      return this.sockets.get(id) || false;
+    },
+
+    //Find every socket an authenticated user has in the room
+    findByUser: function (userId) {
+      var ids = this.users.get(String(userId));
+
+      if (!ids) {
+        return [];
+      }
+
+      return Array.from(ids).map(function (id) {
+        return this.peers.get(id);
+      }, this);
+    },
+
+    //Whether a peer is in the room
+    has: function (id) {
+      return this.peers.has(id);
+    },
+
+    //Return an array of all other peer IDs
+    getUserIds: function (currentId) {
+      var ids = [];
+
+      this.peers.forEach(function (client, id) {
+        if (id !== currentId) {
+          ids.push(id);
+        }
+      });
+
+      return ids;
+    },
+
+    //Return the peer ID and metadata of everyone else
+    getPeers: function (currentId) {
+      var peers = [];
+
+      this.peers.forEach(function (client, id) {
+        if (id !== currentId) {
+          peers.push(describePeer(client));
+        }
+      });
+
+      return peers;
+    },
+
+    //Add a user to our connected clients
+    addUser: function (socket) {
+      if (!this.peers.has(socket.peerId)) {
+        this.peers.set(socket.peerId, socket);
+        this.index(socket);
+        this.counters.joins++;
+        this.counters.peakSize = Math.max(this.counters.peakSize, this.peers.size);
+      }
+    },
+
+    //Swap in the new socket of a peer that reconnected, keeping its place in the room
+    replaceSocket: function (socket) {
+      var previous = this.peers.get(socket.peerId);
+
+      if (previous) {
+        this.unindex(previous);
+        this.peers.set(socket.peerId, socket);
+        this.index(socket);
+      }
+    },
+
+    //Remove a user from our connected clients
+    removeUser: function (id) {
+      var client = this.peers.get(id);
+
+      if (!client) {
+        return false;
+      }
+
+      log.debug('Peer left room', {
+        room: name,
+        peer: id
+      });
+
+      this.peers.delete(id);
+      this.unindex(client);
+      this.counters.leaves++;
+
+      return true;
+    },
+
+    //Forget every member at once
+    clear: function () {
+      this.peers.clear();
+      this.sockets.clear();
+      this.users.clear();
+    },
+
+    //Add a member's socket ID and user to the secondary indexes
+    index: function (socket) {
+      var ids;
+
+      this.sockets.set(socket.id, socket);
+
+      if (socket.user && socket.user.id !== undefined) {
+        ids = this.users.get(String(socket.user.id));
+        if (!ids) {
+          ids = new Set();
+          this.users.set(String(socket.user.id), ids);
+        }
+        ids.add(socket.peerId);
+      }
+    },
+
+    //Take a member's socket ID and user out of the secondary indexes
+    unindex: function (socket) {
+      var ids;
+
+      if (this.sockets.get(socket.id) === socket) {
+        this.sockets.delete(socket.id);
+      }
+
+      if (socket.user && socket.user.id !== undefined) {
+        ids = this.users.get(String(socket.user.id));
+        if (ids) {
+          ids.delete(socket.peerId);
+          if (!ids.size) {
+            this.users.delete(String(socket.user.id));
+          }
+        }
+      }
+    },
+
+    //Number of members
+    size: function () {
+      return this.peers.size;
+    },
+
+    //Whether anyone is left in the room
+    isEmpty: function () {
+      return this.peers.size === 0;
+    },
+
+    //Count a targeted message sent from this room, by type and whether it arrived
+    countRelay: function (type, delivered) {
+      var counts = delivered ? this.counters.relayed : this.counters.failed;
+      counts[type] = (counts[type] || 0) + 1;
+    },
+
+    //Traffic since the room was created
+    getStats: function () {
+      return {
+        size: this.peers.size,
+        peakSize: this.counters.peakSize,
+        joins: this.counters.joins,
+        leaves: this.counters.leaves,
+        relayed: extend({}, this.counters.relayed),
+        failed: extend({}, this.counters.failed),
+        uptime: Date.now() - this.createdAt
+      };
+    },
+
+    //Plain summary of the room for inspection
+    describe: function () {
+      return {
+        name: this.name,
+        size: this.peers.size,
+        clients: this.getUserIds(),
+        peers: this.getPeers(),
+        createdAt: this.createdAt,
+        persistent: this.persistent
+      };
+    }
+  };
+};
+
+module.exports.describePeer = describePeer;
@@ -0,0 +1,198 @@
+/* jshint node:true */
+
+'use strict';
+
+var extend = require('./util').extend;
+
+//Loose check that a string is an SDP blob - version line first, then origin and session name
+function checkSdp(sdp) {
+  if (!/^v=0\r?\n/.test(sdp) || !/\no=/.test(sdp) || !/\ns=/.test(sdp)) {
+    return 'is not a valid session description';
+  }
+}
+
+//Schema for every protocol message a client can send
+//Each schema describes the message's single argument:
+//  type - 'string', 'number', 'boolean', 'object' or 'any'
+//  optional - whether the value may be left out
+//  minLength, maxLength - bounds on string length
+//  enum - list of allowed values
+//  properties - schemas for the fields of an object, each required unless optional
+//  maxSize - longest the value may be once serialized to JSON
+//  check - function returning an error message if the value is wrong in some other way
+exports.createSchemas = function (limits) {
+
+  limits = extend({
+    maxIdLength: 64,
+    maxRoomLength: 128,
+    maxSdpSize: 65536,
+    maxCandidateSize: 2048,
+    maxMetadataSize: 4096
+  }, limits);
+
+  var peerId = {
+    type: 'string',
+    minLength: 1,
+    maxLength: limits.maxIdLength
+  };
+
+  //Clients send what each of their streams is along with their offers and answers,
+  //as { <stream ID>: { label, kind, metadata } }, which is held to the metadata limit
+  function sessionDescription(type) {
+    return {
+      type: 'object',
+      maxSize: limits.maxSdpSize + limits.maxMetadataSize + 256,
+      properties: {
+        type: {
+          type: 'string',
+          enum: [type]
+        },
+        sdp: {
+          type: 'string',
+          minLength: 1,
+          maxLength: limits.maxSdpSize,
+          check: checkSdp
+        },
+        streams: {
+          type: 'object',
+          optional: true,
+          maxSize: limits.maxMetadataSize
+        }
+      }
+    };
+  }
+
+  return {
+    join: {
+      type: 'string',
+      minLength: 1,
+      maxLength: limits.maxRoomLength
+    },
+    leave: {
+      type: 'any',
+      optional: true
+    },
+    list: {
+      type: 'any',
+      optional: true
+    },
+    geticeservers: {
+      type: 'any',
+      optional: true
+    },
+    updatemetadata: {
+      type: 'object',
+      maxSize: limits.maxMetadataSize
+    },
+    offer: {
+      type: 'object',
+      properties: {
+        target: peerId,
+        offer: sessionDescription('offer')
+      }
+    },
+    answer: {
+      type: 'object',
+      properties: {
+        target: peerId,
+        answer: sessionDescription('answer')
+      }
+    },
+    icecandidate: {
+      type: 'object',
+      properties: {
+        target: peerId,
+        candidate: {
+          type: 'object',
+          maxSize: limits.maxCandidateSize,
+          properties: {
+            //Empty candidate marks the end of gathering
+            candidate: {
+              type: 'string',
+              maxLength: limits.maxCandidateSize
+            },
+            sdpMid: {
+              type: 'string',
+              optional: true,
+              maxLength: limits.maxIdLength
+            },
+            sdpMLineIndex: {
+              type: 'number',
+              optional: true
+            }
+          }
+        }
+      }
+    },
+    peerconnected: peerId,
+    streamremoved: peerId
+  };
+};
+
+//Check a value against a schema, returning an error message or null if it's fine
+//path names the value in the message, e.g. "offer.target"
+function check(schema, value, path) {
+  var error = null,
+    json;
+
+  if (value === undefined || value === null) {
+    return schema.optional ? null : path + ' is required';
+  }
+
+  if (schema.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return path + ' must be an object';
+    }
+  } else if (schema.type !== 'any' && typeof value !== schema.type) {
+    return path + ' must be a ' + schema.type;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      return path + ' must not be empty';
+    }
+    if (schema.maxLength && value.length > schema.maxLength) {
+      return path + ' must be at most ' + schema.maxLength + ' characters';
+    }
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    return path + ' must be one of ' + schema.enum.join(', ');
+  }
+
+  if (schema.maxSize) {
+    try {
+      json = JSON.stringify(value);
+    } catch (e) {
+      return path + ' must be serializable';
+    }
+    if (json.length > schema.maxSize) {
+      return path + ' must be at most ' + schema.maxSize + ' characters as JSON';
+    }
+  }
+
+  if (schema.properties) {
+    Object.keys(schema.properties).some(function (key) {
+      error = check(schema.properties[key], value[key], path + '.' + key);
+      return error;
+    });
+    if (error) {
+      return error;
+    }
+  }
+
+  if (schema.check) {
+    error = schema.check(value);
+    if (error) {
+      return path + ' ' + error;
+    }
+  }
+
+  return null;
+}
+
+//Validate the argument of a protocol message against its schema
+//Messages without a schema are let through
+exports.validate = function (schemas, type, value) {
+  return schemas[type] ? check(schemas[type], value, type) : null;
+};
@@ -0,0 +1,174 @@
+/* jshint node:true */
+
+'use strict';
+
+var crypto = require('crypto');
+var net = require('net');
+
+//Just enough DER to write an X.509 certificate
+function length(size) {
+  var bytes = [];
+
+  if (size < 0x80) {
+    return Buffer.from([size]);
+  }
+
+  while (size > 0) {
+    bytes.unshift(size & 0xff);
+    size = size >> 8;
+  }
+
+  return Buffer.from([0x80 | bytes.length].concat(bytes));
+}
+
+function der(tag, content) {
+  return Buffer.concat([Buffer.from([tag]), length(content.length), content]);
+}
+
+function sequence(items) {
+  return der(0x30, Buffer.concat(items));
+}
+
+function set(items) {
+  return der(0x31, Buffer.concat(items));
+}
+
+//Explicitly tagged context specific field, like the version and extensions of a certificate
+function explicit(number, content) {
+  return der(0xa0 | number, content);
+}
+
+//Positive integer from its big endian bytes
+function integer(bytes) {
+  if (bytes[0] & 0x80) {
+    bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  }
+  return der(0x02, bytes);
+}
+
+function oid(dotted) {
+  var parts = dotted.split('.').map(Number),
+    bytes = [parts[0] * 40 + parts[1]];
+
+  parts.slice(2).forEach(function (part) {
+    var chunk = [part & 0x7f];
+    part = Math.floor(part / 128);
+    while (part > 0) {
+      chunk.unshift(0x80 | (part & 0x7f));
+      part = Math.floor(part / 128);
+    }
+    bytes = bytes.concat(chunk);
+  });
+
+  return der(0x06, Buffer.from(bytes));
+}
+
+function utf8(string) {
+  return der(0x0c, Buffer.from(string, 'utf8'));
+}
+
+//UTCTime, YYMMDDHHMMSSZ
+function time(date) {
+  return der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z'));
+}
+
+function octets(content) {
+  return der(0x04, content);
+}
+
+function bits(content) {
+  return der(0x03, Buffer.concat([Buffer.from([0]), content]));
+}
+
+function name(commonName) {
+  return sequence([set([sequence([oid('2.5.4.3'), utf8(commonName)])])]);
+}
+
+//DNS names and IP addresses the certificate is good for
+function subjectAltName(names) {
+  return sequence(names.map(function (entry) {
+    if (net.isIPv4(entry)) {
+      return der(0x87, Buffer.from(entry.split('.').map(Number)));
+    }
+    if (net.isIPv6(entry)) {
+      return der(0x87, ipv6(entry));
+    }
+    return der(0x82, Buffer.from(entry, 'ascii'));
+  }));
+}
+
+function ipv6(address) {
+  var halves = address.split('::'),
+    head = halves[0] ? halves[0].split(':') : [],
+    tail = halves[1] ? halves[1].split(':') : [],
+    groups = head.concat(new Array(8 - head.length - tail.length + 1).join('0').split(''), tail),
+    bytes = Buffer.alloc(16);
+
+  groups.forEach(function (group, index) {
+    bytes.writeUInt16BE(parseInt(group || '0', 16), index * 2);
+  });
+
+  return bytes;
+}
+
+function extension(id, value) {
+  return sequence([oid(id), octets(value)]);
+}
+
+function pem(label, content) {
+  return '-----BEGIN ' + label + '-----\n' +
+    content.toString('base64').match(/.{1,64}/g).join('\n') +
+    '\n-----END ' + label + '-----\n';
+}
+
+//Generate a key and a self-signed certificate for development HTTPS
+//opts.commonName names the certificate, opts.altNames lists the host names and addresses
+//it covers and opts.days is how long it is valid for
+//Returns { key, cert, fingerprint } with the key and certificate as PEM
+module.exports = function (opts) {
+  opts = opts || {};
+
+  var keys = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048
+    }),
+    algorithm = sequence([oid('1.2.840.113549.1.1.11'), der(0x05, Buffer.alloc(0))]),
+    altNames = opts.altNames || ['localhost', '127.0.0.1', '::1'],
+    commonName = opts.commonName || altNames[0],
+    notBefore = new Date(Date.now() - 60000),
+    notAfter = new Date(Date.now() + (opts.days || 30) * 86400000),
+    serial = crypto.randomBytes(16),
+    tbs,
+    cert;
+
+  //Keep the serial positive without a leading zero byte
+  serial[0] = (serial[0] & 0x7f) | 0x40;
+
+  tbs = sequence([
+    explicit(0, integer(Buffer.from([2]))),
+    integer(serial),
+    algorithm,
+    name(commonName),
+    sequence([time(notBefore), time(notAfter)]),
+    name(commonName),
+    keys.publicKey.export({
+      type: 'spki',
+      format: 'der'
+    }),
+    explicit(3, sequence([
+      extension('2.5.29.19', sequence([])),
+      extension('2.5.29.37', sequence([oid('1.3.6.1.5.5.7.3.1')])),
+      extension('2.5.29.17', subjectAltName(altNames))
+    ]))
+  ]);
+
+  cert = sequence([tbs, algorithm, bits(crypto.sign('sha256', tbs, keys.privateKey))]);
+
+  return {
+    key: keys.privateKey.export({
+      type: 'pkcs8',
+      format: 'pem'
+    }),
+    cert: pem('CERTIFICATE', cert),
+    fingerprint: crypto.createHash('sha256').update(cert).digest('hex').toUpperCase().match(/../g).join(':')
+  };
+};
@@ -0,0 +1,113 @@
+/* jshint node:true */
+
+'use strict';
+
+var crypto = require('crypto');
+var safeEqual = require('./util').safeEqual;
+var createLogger = require('./logger');
+
+//Peer sessions - a stable peer ID that outlives the socket it was issued to,
+//so a client that reconnects after a network blip keeps its identity
+module.exports = function (options) {
+
+  options = options || {};
+
+  var log = createLogger.from(options, 'sessions');
+
+  return {
+    //Peer ID -> session, without a prototype so an ID like 'constructor' finds nothing
+    sessions: Object.create(null),
+
+    //Issue a new peer ID and resume token to a socket
+    create: function (socket) {
+      var session = {
+        id: crypto.randomBytes(12).toString('hex'),
+        token: crypto.randomBytes(24).toString('hex'),
+        user: socket.user,
+        metadata: {},
+        socket: null,
+        timer: null,
+        createdAt: Date.now()
+      };
+
+      this.sessions[session.id] = session;
+      this.attach(session, socket);
+
+      return session;
+    },
+
+    //Find a session by peer ID
+    get: function (id) {
+      return this.sessions[id];
+    },
+
+    //Every session we know about, including those waiting for their client to come back
+    all: function () {
+      return Object.keys(this.sessions).map(function (id) {
+        return this.sessions[id];
+      }, this);
+    },
+
+    //Whether a socket presenting this resume token may take the session over
+    //Authenticated sessions can only be resumed by the same user
+    canResume: function (session, socket, token) {
+      if (!safeEqual(token, session.token)) {
+        return false;
+      }
+
+      if (session.user && (!socket.user || socket.user.id !== session.user.id)) {
+        return false;
+      }
+
+      return true;
+    },
+
+    //Make a socket the current connection for a session, cancelling any pending expiry
+    attach: function (session, socket) {
+      this.release(session);
+      session.socket = socket;
+      socket.peerId = session.id;
+      socket.session = session;
+    },
+
+    //Keep a session whose socket dropped for a while, calling expire if nobody resumes it
+    hold: function (session, delay, expire) {
+      this.release(session);
+      session.timer = setTimeout(function () {
+        session.timer = null;
+        expire(session);
+      }, delay);
+      log.debug('Holding session', {
+        peer: session.id,
+        delay: delay
+      });
+    },
+
+    //Cancel a pending expiry
+    release: function (session) {
+      if (session.timer) {
+        clearTimeout(session.timer);
+        session.timer = null;
+      }
+    },
+
+    //Whether a session is waiting for its client to come back
+    isHeld: function (session) {
+      return !!session.timer;
+    },
+
+    //Forget a session
+    remove: function (id) {
+      var session = this.sessions[id];
+      if (session) {
+        this.release(session);
+        delete this.sessions[id];
+      }
+    },
+
+    //Forget every session
+    clear: function () {
+      Object.keys(this.sessions).forEach(this.remove, this);
+    }
+  };
+};
@@ -0,0 +1,116 @@
+/* jshint node:true */
+
+'use strict';
+
+var crypto = require('crypto');
+var extend = require('./util').extend;
+
+//Time-limited TURN credentials using the shared secret scheme TURN servers like coturn
+//support with use-auth-secret: the username is "expiry:user" and the password is the
+//base64 HMAC-SHA1 of the username, so the TURN server can check them without talking to us
+
+//Credentials for a user, valid for ttl seconds
+exports.credentials = function (secret, user, ttl) {
+  var expires = Math.floor(Date.now() / 1000) + ttl,
+    username = expires + ':' + user;
+
+  return {
+    username: username,
+    credential: crypto.createHmac('sha1', secret).update(username).digest('base64'),
+    expires: expires
+  };
+};
+
+function defaults(opts) {
+  opts = extend({
+    urls: [],
+    stun: [],
+    ttl: 86400
+  }, opts);
+
+  if (!opts.secret) {
+    throw new Error('TURN credentials need a shared secret');
+  }
+
+  return opts;
+}
+
+//Build an iceServers function for the signaler that hands every peer its own credentials
+//opts.secret is the secret shared with the TURN server, opts.urls its turn: and turns: URLs,
+//opts.stun any STUN URLs to add and opts.ttl how long credentials last in seconds
+//Credentials are issued to the authenticated user's ID, or the peer ID without authentication
+exports.iceServers = function (opts) {
+  opts = defaults(opts);
+
+  return function (peer, cb) {
+    var user = peer.user && peer.user.id !== undefined ? peer.user.id : peer.id,
+      issued = exports.credentials(opts.secret, user, opts.ttl),
+      servers = [];
+
+    if (opts.stun.length) {
+      servers.push({
+        urls: opts.stun
+      });
+    }
+
+    servers.push({
+      urls: opts.urls,
+      username: issued.username,
+      credential: issued.credential
+    });
+
+    cb(null, servers, opts.ttl);
+  };
+};
+
+//Express route answering GET requests the way the TURN REST API draft describes,
+//with { username, password, ttl, uris }
+//opts.authenticate(req, cb) checks who is asking and calls back with an error or { id },
+//e.g. auth.jwt(secret) for bearer tokens. Credentials are issued to that ID, whatever
+//username the query string asks for, so only known users can relay through the TURN server
+exports.route = function (opts) {
+  opts = defaults(opts);
+
+  if (typeof opts.authenticate !== 'function') {
+    throw new Error('The TURN credentials route needs an authenticate function');
+  }
+
+  return function (req, res) {
+    if (req.query.service && req.query.service !== 'turn') {
+      return res.status(400).json({
+        code: 'invalid',
+        message: 'Only the turn service is supported'
+      });
+    }
+
+    opts.authenticate(req, function (err, user) {
+      var id = user && user.id !== undefined && user.id !== null ? String(user.id) : '',
+        issued;
+
+      if (err || !id) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          code: (err && err.code) || 'unauthorized',
+          message: (err && err.message) || 'Authentication failed'
+        });
+      }
+
+      if (id.length > 256 || id.indexOf(':') !== -1) {
+        return res.status(403).json({
+          code: 'invalid',
+          message: 'User IDs can\'t contain ":"'
+        });
+      }
+
+      issued = exports.credentials(opts.secret, id, opts.ttl);
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        username: issued.username,
+        password: issued.credential,
+        ttl: opts.ttl,
+        uris: opts.stun.concat(opts.urls)
+      });
+    });
+  };
+};
@@ -0,0 +1,29 @@
+/* jshint node:true */
+
+'use strict';
+
+//Copy every own property of each source onto target, later sources win
+exports.extend = function (target) {
+  Array.prototype.slice.call(arguments, 1).forEach(function (source) {
+    if (!source) return;
+    Object.keys(source).forEach(function (key) {
+      target[key] = source[key];
+    });
+  });
+  return target;
+};
+
+//Compare two strings without bailing out at the first difference so secrets can't be guessed by timing
+exports.safeEqual = function (a, b) {
+  var mismatch = 0;
+
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  for (var i = 0; i < a.length; i++) {
+    mismatch |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return mismatch === 0;
+};
@@ -64,7 +64,7 @@
     //Generate our option defaults
     this.generateDefaults = function (options) {
       options = options || {};
-      options.server = options.server || 'http://' + window.location.host + '/';
+      options.server = options.server || window.location.protocol + '//' + window.location.host + '/';
       options.room = options.room || 'default';
       options.debug = options.debug || false;
       return options;
@@ -77,7 +77,7 @@
       this.socket.on('offer', this.createAnswer.bind(this));
       this.socket.on('answer', this.handleAnswer.bind(this));
       this.socket.on('icecandidate', this.receiveIceCandidate.bind(this));
-      this.socket.on('newconnection', this.addPeer.bind(this));
+      this.socket.on('newconnection', this.peerJoined.bind(this));
       this.socket.on('disconnect', this.disconnectConnection.bind(this));
       this.socket.on('peerconnected', this.peerConnected.bind(this));
       this.socket.on('streamremoved', this.removeRemoteStream.bind(this));
@@ -89,10 +89,16 @@
     };
 
     //Generate our PeerConnections for each user received by getPeerList
+    //Each entry is { id, metadata }
     this.generateConnections = function (peers) {
       if (options.debug) console.log('Received list, creating connection(s) for ' + peers.length + ' peers');
       //Create a new connection for each peer
-      peers.forEach(this.addPeer.bind(this));
+      peers.forEach(this.peerJoined.bind(this));
+    };
+
+    //Someone is in our room, as { id, metadata }
+    this.peerJoined = function (data) {
+      this.getPeer(data.id).metadata = data.metadata || {};
     };
 
     //Add a peer to our connections, initializing the PeerConnection object
@@ -130,12 +136,18 @@
       if (options.debug) console.log('Binding connection events for peer: ' + peer.id);
 
       //Send ice candidate to peer
-      peer.connection.onicecandidate = function (candidate) {
+      //The server only takes the candidate itself, { candidate, sdpMid, sdpMLineIndex }
+      peer.connection.onicecandidate = function (event) {
+        if (!event.candidate) return;
         if (options.debug && options.debug === 'verbose') console.log('Sending ICE candidate to ' + peer.id);
 
         this.socket.emit('icecandidate', {
           target: peer.id,
-          candidate: candidate
+          candidate: {
+            candidate: event.candidate.candidate,
+            sdpMid: event.candidate.sdpMid,
+            sdpMLineIndex: event.candidate.sdpMLineIndex
+          }
         });
 
       }.bind(this);
@@ -409,13 +421,13 @@
     //Process ice candidate
     this.receiveIceCandidate = function (data) {
 
-      //This is horrible, but that's the way the data is packaged
-      if (data && data.candidate && data.candidate.candidate && data.candidate.candidate.candidate) {
+      //An empty candidate marks the end of the peer's candidates
+      if (data && data.candidate && data.candidate.candidate) {
 
         //Unpackage data
         var peer = this.getPeer(data.sender),
-          candidate = data.candidate.candidate.candidate,
-          line = data.candidate.candidate.sdpMLineIndex;
+          candidate = data.candidate.candidate,
+          line = data.candidate.sdpMLineIndex;
 
         if (options.debug && options.debug === 'verbose') console.log('Added ICE candidate from ' + peer.id);
 
@@ -2,144 +2,1446 @@
 
 'use strict';
 
-module.exports = function (io, room, options) {
+var EventEmitter = require('events').EventEmitter;
+var createRoom = require('./lib/room');
+var extend = require('./lib/util').extend;
+var auth = require('./lib/auth');
+var createSessionStore = require('./lib/sessions');
+var metadata = require('./lib/metadata');
+var schema = require('./lib/schema');
+var createRateLimiter = require('./lib/ratelimit');
+var createCluster = require('./lib/cluster');
+var turn = require('./lib/turn');
+var createAdminRouter = require('./lib/admin');
+var createMetrics = require('./lib/metrics');
+var createLogger = require('./lib/logger');
 
-  return {
-    roomName: room,
-    clients: [],
+//Relayed protocol messages - the server-side event each one emits
+//and the field of the outgoing message that carries its payload
+var relayTypes = {
+  offer: {
+    event: 'offer',
+    field: 'offer'
+  },
+  answer: {
+    event: 'answer',
+    field: 'answer'
+  },
+  icecandidate: {
+    event: 'candidate',
+    field: 'candidate'
+  },
+  peerconnected: {
+    event: 'peerConnected'
+  },
+  streamremoved: {
+    event: 'streamRemoved'
+  }
+};
 
-    //Find a user by ID
-    findSocket: function (id) {
-      var foundClient = false;
-      this.clients.forEach(function (client) {
-        if (client.id === id) {
-          foundClient = client;
-        }
+//Why a relayed message couldn't be delivered, as sent back to the sender
+var relayFailures = {
+  notfound: 'Peer not found in room',
+  disconnected: 'Peer is reconnecting',
+  noroom: 'Not in a room'
+};
+
+//Acknowledge a message if the client asked for it
+function reply(ack, result) {
+  if (typeof ack === 'function') {
+    ack(result);
+  }
+}
+
+//Socket.IO keeps its rooms in a plain object, so ours go in under a prefix that keeps names
+//like 'constructor' from landing on one of Object.prototype's members
+function channel(room) {
+  return 'room:' + room;
+}
+
+//Socket.IO disconnect reasons that mean the connection dropped rather than the client leaving
+var transientDisconnects = ['transport close', 'transport error', 'ping timeout'];
+
+//Create a signaling server on a single namespace that owns any number of rooms
+function createSignalerServer(io, options) {
+
+  options = extend({
+    namespace: '/',
+    defaultRoom: null,
+    autoCreateRooms: true,
+    authenticate: null,
+    reconnectGracePeriod: 10000,
+    maxMetadataSize: 4096,
+    limits: {},
+    schemas: {},
+    rateLimit: {},
+    trustProxy: false,
+    cluster: null,
+    clusterOptions: {},
+    iceServers: null,
+    drainTimeout: 30000,
+    logger: null,
+    debug: false
+  }, options);
+
+  //A logger per module so each can be turned up on its own, see lib/logger.js
+  var log = createLogger.from(options, 'signaler'),
+    roomLog = log.child('rooms'),
+    relayLog = log.child('relay'),
+    authLog = log.child('auth'),
+    limitLog = log.child('ratelimit');
+
+  var signaller = extend(new EventEmitter(), {
+    //Room every socket is placed in when it first connects, if any
+    defaultRoom: options.defaultRoom,
+
+    //Root logger, for host apps that want their records in the same place
+    logger: log,
+
+    //Room name -> room, without a prototype so clients can't name a room after one of its members
+    rooms: Object.create(null),
+    options: options,
+    middleware: [],
+    sessions: createSessionStore(extend({}, options, {
+      logger: log
+    })),
+
+    //User ID -> time their ban ends, or null if it doesn't
+    userBans: {},
+
+    //Offers that haven't been followed by peerconnected yet, by room and pair of peers
+    negotiations: {},
+
+    //{ server, reason, timer } while stop is waiting for negotiations to finish
+    draining: null,
+
+    //Flood protection, see lib/ratelimit.js
+    rateLimiter: options.rateLimit ? createRateLimiter(options.rateLimit) : null,
+
+    //Schema for each protocol message, see lib/schema.js
+    schemas: extend(schema.createSchemas(extend({
+      maxMetadataSize: options.maxMetadataSize
+    }, options.limits)), options.schemas),
+
+    //Add a function to the relay pipeline
+    //Called as fn(message, next) for every relayed message, where message is
+    //{ type, sender, socket, target, room, payload }. Change message.payload to
+    //rewrite what is sent, message.target to redirect it, or call next(err) to
+    //reject it and send err back to the sender
+    use: function (fn) {
+      this.middleware.push(fn);
+      return this;
+    },
+
+    //Create a room, or return it if it already exists
+    //Rooms created here are persistent unless told otherwise
+    createRoom: function (name, roomOptions) {
+      if (this.rooms[name]) {
+        return this.rooms[name];
+      }
+
+      roomOptions = extend({
+        logger: roomLog,
+        persistent: true
+      }, roomOptions);
+
+      this.rooms[name] = createRoom(name, roomOptions);
+      roomLog.info('Room created', {
+        room: name
       });
-      return foundClient;
+      this.emit('roomCreated', this.rooms[name]);
+
+      return this.rooms[name];
     },
 
-    //Return an array of all other IDs
-    getUserIds: function (currentId) {
-      var ids = [];
+    //Find a room by name
+    getRoom: function (name) {
+      return this.rooms[name];
+    },
+
+    //Summaries of every open room
+    listRooms: function () {
+      return Object.keys(this.rooms).map(function (name) {
+        return this.rooms[name].describe();
+      }, this);
+    },
 
-      this.clients.forEach(function (client) {
-        if (client.id !== currentId) {
-          ids.push(client.id);
+    //Tell everyone in a room it is closing, disconnect them and forget the room
+    closeRoom: function (name, reason) {
+      var target = this.rooms[name];
+
+      if (!target) {
+        return false;
+      }
+
+      //clients is a copy, disconnecting removes sockets from the room
+      target.clients.forEach(function (socket) {
+        socket.emit('roomclosed', {
+          room: name,
+          reason: reason
+        });
+        if (this.cluster) {
+          this.cluster.announceLeave(socket.peerId, name);
         }
+        socket.room = null;
+        socket.disconnect();
+      }, this);
+
+      target.clear();
+      delete this.rooms[name];
+
+      roomLog.info('Room closed', {
+        room: name,
+        reason: reason
       });
+      this.emit('roomClosed', target, reason);
 
-      return ids;
+      return true;
     },
 
-    //Remove a user from our connected clients
-    removeUser: function (id) {
-      this.clients.forEach(function (client, index, clients) {
-        if (client.id === id) {
-          if (options.debug) console.log('Signaller: user ' + client.id + ' disconnected');
-          clients.splice(index, 1);
+    //Put a socket into a room, leaving whichever room it was in before
+    joinRoom: function (socket, name) {
+      var target = this.getRoom(name);
+
+      if (!target) {
+        if (!options.autoCreateRooms) {
+          return false;
         }
+        target = this.createRoom(name, {
+          persistent: false
+        });
+      }
+
+      if (socket.room === target) {
+        return target;
+      }
+
+      this.leaveRoom(socket);
+
+      //Add socket to room list
+      target.addUser(socket);
+
+      //Give socket a reference to its room
+      socket.room = target;
+
+      //Join socket to the socket.io room so broadcasts stay scoped
+      socket.join(channel(target.name));
+
+      //Broadcast connection event
+      socket.broadcast.to(channel(target.name)).emit('newconnection', createRoom.describePeer(socket));
+
+      if (this.cluster) {
+        this.cluster.announceJoin(createRoom.describePeer(socket), target.name);
+      }
+
+      roomLog.debug('Peer joined room', {
+        room: target.name,
+        peer: socket.peerId
+      });
+      this.emit('join', {
+        id: socket.peerId,
+        room: target.name
+      });
+
+      return target;
+    },
+
+    //Take a socket out of its current room and let the rest of the room know
+    leaveRoom: function (socket) {
+      var current = socket.room;
+
+      if (!current) {
+        return false;
+      }
+
+      current.removeUser(socket.peerId);
+      socket.leave(channel(current.name));
+      socket.room = null;
+
+      //Broadcast disconnect event to the remaining clients
+      this.broadcast(current.name, 'disconnect', socket.peerId);
+
+      if (this.cluster) {
+        this.cluster.announceLeave(socket.peerId, current.name);
+      }
+
+      this.emit('leave', {
+        id: socket.peerId,
+        room: current.name
       });
+
+      //Clean up rooms nobody is using unless they were created to stick around
+      if (current.isEmpty() && !current.persistent && this.rooms[current.name] === current) {
+        delete this.rooms[current.name];
+        roomLog.info('Room removed', {
+          room: current.name,
+          reason: 'empty'
+        });
+        this.emit('roomClosed', current, 'empty');
+      }
+
+      //Nobody is left in the room to finish an offer or answer with, which may end a drain
+      this.dropNegotiations(socket.peerId, current.name);
+
+      return current;
+    },
+
+    //Emit an event to every socket we have in a room
+    broadcast: function (room, event, data) {
+      if (this.namespace) {
+        this.namespace.to(channel(room)).emit(event, data);
+      }
+    },
+
+    //Everyone in a room except currentId, including peers on other nodes in the cluster
+    getPeers: function (name, currentId) {
+      var peers = this.rooms[name] ? this.rooms[name].getPeers(currentId) : [];
+
+      if (this.cluster) {
+        peers = peers.concat(this.cluster.getPeers(name));
+      }
+
+      return peers;
+    },
+
+    //Every peer in every one of our rooms as { room, peer }, for other nodes in the cluster
+    getLocalPeers: function () {
+      var peers = [];
+
+      Object.keys(this.rooms).forEach(function (name) {
+        this.rooms[name].getPeers().forEach(function (peer) {
+          peers.push({
+            room: name,
+            peer: peer
+          });
+        });
+      }, this);
+
+      return peers;
     },
 
     //Start by binding all our events
     start: function () {
+      var index;
+
+      if (this.namespace) {
+        return this;
+      }
 
-      this.room = io.of('/' + room);
+      if (this.defaultRoom) {
+        this.createRoom(this.defaultRoom);
+      }
 
-      this.room.on('connection', function (socket) {
+      this.namespace = io.of(options.namespace);
 
-        //Add socket to room list
-        this.clients.push(socket);
+      //Accept connections again after an earlier close
+      index = this.namespace.fns.indexOf(this.refuseConnection);
+      if (index !== -1) {
+        this.namespace.fns.splice(index, 1);
+      }
 
-        //Give socket a reference to parent
-        socket.room = this;
+      //Turn away banned and flooding addresses before doing any other work
+      if (this.rateLimiter) {
+        this.namespace.use(this.limitConnection);
+      }
 
-        //Join socket to room
-        socket.join(this.roomName);
+      //Authenticate before the connection event so unverified sockets never reach a room
+      if (options.authenticate) {
+        this.namespace.use(this.authenticateSocket);
+      }
 
-        //Return generated socket ID
-        socket.emit('initialized');
+      this.namespace.on('connection', this.handleConnection);
 
-        //Broadcast connection event
-        socket.broadcast.to(this.roomName).emit('newconnection', socket.id);
+      if (this.cluster) {
+        this.cluster.start();
+      }
 
-        if (options.debug) console.log('Signaller: user ' + socket.id + ' connected');
+      this.emit('started');
+      return this;
+    },
+
+    //Shut down, right away or once peers are done negotiating
+    //With opts.drain, new connections are refused and everyone connected is sent serverdraining
+    //with opts.server, the address of a signaler to move to, if there is one. Peers in the middle
+    //of an offer and answer get up to opts.timeout milliseconds to finish before we close
+    //done is called once we're closed
+    stop: function (opts, done) {
+      if (typeof opts === 'function') {
+        done = opts;
+        opts = {};
+      }
+
+      opts = extend({
+        drain: false,
+        server: null,
+        reason: null,
+        timeout: options.drainTimeout
+      }, opts);
 
-        //Return a list of connected users
-        socket.on('list', function () {
-          socket.emit('list', this.room.getUserIds(this.id));
-          if (options.debug) console.log('Signaller: user list sent');
+      if (!this.namespace) {
+        if (done) process.nextTick(done);
+        return this;
+      }
+
+      if (done) {
+        this.once('closed', function () {
+          done();
         });
+      }
 
-        //Send an offer to a target
-        //Offer is an RTCSessionDescription
-        socket.on('offer', function (data) {
-          var recipient = this.room.findSocket(data.target);
-          if (recipient) {
-            recipient.emit('offer', {
-              sender: this.id,
-              offer: data.offer
-            });
-            if (options.debug) console.log('Signaller: user ' + this.id + ' sent offer to ' + recipient.id);
+      //Stopping again without draining cuts a drain short
+      if (!opts.drain) {
+        return this.close();
+      }
+
+      if (this.draining) {
+        return this;
+      }
+
+      this.draining = {
+        server: opts.server,
+        reason: opts.reason,
+        timer: setTimeout(this.finishDrain.bind(this), opts.timeout)
+      };
+
+      //Ahead of the other middleware so refused clients don't cost an authentication
+      this.namespace.fns.unshift(this.refuseConnection);
+
+      this.namespace.emit('serverdraining', {
+        server: opts.server,
+        reason: opts.reason,
+        timeout: opts.timeout
+      });
+
+      log.info('Draining', {
+        server: opts.server,
+        negotiations: Object.keys(this.negotiations).length,
+        timeout: opts.timeout
+      });
+      this.emit('draining', {
+        server: opts.server,
+        reason: opts.reason,
+        negotiations: Object.keys(this.negotiations).length
+      });
+
+      this.checkDrained();
+      return this;
+    },
+
+    //Close once a drain has no negotiations left to wait for
+    checkDrained: function () {
+      if (this.draining && !Object.keys(this.negotiations).length) {
+        this.finishDrain();
+      }
+    },
+
+    finishDrain: function () {
+      var unfinished = Object.keys(this.negotiations).length;
+
+      if (!this.draining) {
+        return;
+      }
+
+      log.info('Drained', {
+        unfinished: unfinished
+      });
+      this.emit('drained', {
+        unfinished: unfinished
+      });
+
+      this.close();
+    },
+
+    //Namespace middleware turning connections away while draining, pointing them at the
+    //server everyone is moving to
+    refuseConnection: function (socket, next) {
+      var error = new Error('Server is shutting down');
+
+      error.data = {
+        code: 'draining',
+        message: 'Server is shutting down',
+        server: signaller.draining ? signaller.draining.server : null
+      };
+
+      next(error);
+    },
+
+    //Keep track of offers and answers until the offerer confirms with peerconnected,
+    //so a drain knows who is still negotiating
+    trackNegotiation: function (room, type, sender, target) {
+      var key = [room].concat([sender, target].sort()).join('\n');
+
+      if (type === 'offer' || type === 'answer') {
+        if (!this.negotiations[key]) {
+          this.negotiations[key] = {
+            room: room,
+            peers: [sender, target],
+            startedAt: Date.now()
+          };
+        }
+      } else if (type === 'peerconnected' && this.negotiations[key]) {
+        delete this.negotiations[key];
+        this.checkDrained();
+      }
+    },
+
+    //Forget the negotiations of a peer that is gone, only those in room when it's given
+    dropNegotiations: function (id, room) {
+      Object.keys(this.negotiations).forEach(function (key) {
+        if (room && this.negotiations[key].room !== room) {
+          return;
+        }
+        if (this.negotiations[key].peers.indexOf(id) !== -1) {
+          delete this.negotiations[key];
+        }
+      }, this);
+
+      this.checkDrained();
+    },
+
+    //Stop accepting connections, close every room and disconnect anyone left
+    close: function () {
+      if (!this.namespace) {
+        return this;
+      }
+
+      if (this.draining) {
+        clearTimeout(this.draining.timer);
+        this.draining = null;
+      }
+
+      this.namespace.removeListener('connection', this.handleConnection);
+
+      [this.limitConnection, this.authenticateSocket].forEach(function (fn) {
+        var index = this.namespace.fns.indexOf(fn);
+        if (index !== -1) {
+          this.namespace.fns.splice(index, 1);
+        }
+      }, this);
+
+      //Keep turning connections away, with nobody listening they would never get an answer
+      if (this.namespace.fns.indexOf(this.refuseConnection) === -1) {
+        this.namespace.fns.unshift(this.refuseConnection);
+      }
+
+      Object.keys(this.rooms).forEach(function (name) {
+        this.closeRoom(name, 'shutdown');
+      }, this);
+
+      //Sockets that never joined a room
+      Object.keys(this.namespace.connected).forEach(function (id) {
+        this.namespace.connected[id].disconnect();
+      }, this);
+
+      //Nobody can come back to a server that's closed
+      this.sessions.clear();
+      this.negotiations = {};
+
+      if (this.cluster) {
+        this.cluster.stop();
+      }
+
+      this.namespace = null;
+
+      this.emit('closed');
+      return this;
+    },
+
+    //Run a relayed message through each middleware in turn
+    runMiddleware: function (message, done) {
+      var stack = this.middleware,
+        index = 0,
+        finished = false;
+
+      function next(err) {
+        if (finished) return;
+        if (err || index === stack.length) {
+          finished = true;
+          return done(err);
+        }
+        try {
+          stack[index++](message, next);
+        } catch (e) {
+          //Errors thrown after the pipeline finished came from delivery, not a middleware
+          if (finished) throw e;
+          next(e);
+        }
+      }
+
+      next();
+    },
+
+    //Pass a message from one socket through the middleware and on to another
+    //socket in the sender's room, reporting the outcome as a server-side event
+    //ack, if given, is called with { delivered: true } or { delivered: false, code, message }
+    relay: function (socket, type, target, payload, ack) {
+      var message = {
+        type: type,
+        sender: socket.peerId,
+        socket: socket,
+        target: target,
+        room: socket.room ? socket.room.name : null,
+        payload: payload,
+        ack: ack,
+        receivedAt: process.hrtime()
+      };
+
+      this.runMiddleware(message, function (err) {
+        if (err) {
+          return this.rejectRelay(message, err);
+        }
+        this.deliver(message);
+      }.bind(this));
+    },
+
+    //Send a message that made it through the middleware
+    //Recipients connected to another node in the cluster are handed to that node
+    deliver: function (message) {
+      var room = message.socket.room,
+        relayType = relayTypes[message.type],
+        outgoing = message.sender,
+        remote,
+        result;
+
+      if (relayType.field) {
+        outgoing = {
+          sender: message.sender
+        };
+        outgoing[relayType.field] = message.payload;
+      }
+
+      if (!room) {
+        return this.failRelay(message, 'noroom');
+      }
+
+      remote = this.cluster && !room.has(message.target) && this.cluster.findPeer(room.name, message.target);
+
+      if (remote) {
+        this.cluster.relay(remote, room.name, message.type, outgoing, function (result) {
+          if (result.delivered) {
+            this.trackNegotiation(room.name, message.type, message.sender, message.target);
+            this.completeRelay(message);
+          } else {
+            this.failRelay(message, result.code);
           }
+        }.bind(this));
+        return;
+      }
+
+      result = this.deliverLocal(room.name, message.target, message.type, outgoing);
+
+      if (result !== true) {
+        return this.failRelay(message, result);
+      }
+
+      this.completeRelay(message);
+    },
+
+    //Emit a message to a socket in one of our rooms
+    //Returns true, or why it couldn't be delivered
+    deliverLocal: function (roomName, target, type, outgoing) {
+      var room = this.rooms[roomName],
+        recipient = room && room.findSocket(target);
+
+      if (!recipient) {
+        return 'notfound';
+      }
+
+      if (!recipient.connected) {
+        return 'disconnected';
+      }
+
+      recipient.emit(type, outgoing);
+      this.trackNegotiation(roomName, type, typeof outgoing === 'object' ? outgoing.sender : outgoing, target);
+
+      //ICE candidates come by the dozen, so only trace them
+      relayLog.log(type === 'icecandidate' ? 'trace' : 'debug', 'Message delivered', {
+        room: roomName,
+        target: target,
+        type: type
+      });
+
+      return true;
+    },
+
+    //A relayed message reached its recipient
+    completeRelay: function (message) {
+      reply(message.ack, {
+        delivered: true
+      });
+
+      this.countRelay(message, true);
+
+      this.emit(relayTypes[message.type].event, this.describeRelay(message));
+    },
+
+    //A relayed message couldn't reach its recipient
+    failRelay: function (message, reason) {
+      var details = this.describeRelay(message);
+
+      relayLog.debug('Recipient not reachable', {
+        room: message.room,
+        peer: message.sender,
+        target: message.target,
+        type: message.type,
+        reason: reason
+      });
+
+      details.reason = reason;
+      this.countRelay(message, false);
+      this.sendRelayError(message, reason, relayFailures[reason]);
+      this.emit('relayFailed', details);
+    },
+
+    //Tell the sender of a targeted message that it went nowhere, both as an
+    //acknowledgement and as a relayerror event
+    sendRelayError: function (message, code, text) {
+      var error = {
+        type: message.type,
+        target: message.target,
+        code: code,
+        message: text
+      };
+
+      reply(message.ack, {
+        delivered: false,
+        code: code,
+        message: text
+      });
+
+      message.socket.emit('relayerror', error);
+    },
+
+    //A middleware turned a message down, let the sender know why
+    rejectRelay: function (message, err) {
+      var details = this.describeRelay(message);
+
+      details.error = err;
+
+      relayLog.info('Message rejected by middleware', {
+        room: message.room,
+        peer: message.sender,
+        target: message.target,
+        type: message.type,
+        error: err.message || String(err)
+      });
+
+      this.sendRelayError(message, err.code || 'rejected', err.message || String(err));
+
+      this.emit('relayRejected', details);
+    },
+
+    //Count a targeted message against the sender's room
+    countRelay: function (message, delivered) {
+      var room = message.room && this.rooms[message.room];
+      if (room) {
+        room.countRelay(message.type, delivered);
+      }
+    },
+
+    //Public details of a relayed message for server-side events
+    //latency is the seconds since the message arrived
+    describeRelay: function (message) {
+      var elapsed = process.hrtime(message.receivedAt);
+
+      return {
+        type: message.type,
+        sender: message.sender,
+        target: message.target,
+        room: message.room,
+        payload: message.payload,
+        latency: elapsed[0] + elapsed[1] / 1e9
+      };
+    },
+
+    //Address a socket connected from, taken from X-Forwarded-For when behind a trusted proxy
+    addressOf: function (socket) {
+      var forwarded = socket.handshake.headers && socket.handshake.headers['x-forwarded-for'],
+        hops = options.trustProxy === true ? 1 : options.trustProxy,
+        entries;
+
+      //Each proxy appends the address it got the request from, so only the last hops entries
+      //can be trusted and anything before them is whatever the client sent
+      if (hops && forwarded) {
+        entries = forwarded.split(',');
+        return entries[Math.max(entries.length - hops, 0)].trim();
+      }
+
+      return socket.handshake.address;
+    },
+
+    //Namespace middleware refusing connections from banned addresses or addresses connecting too fast
+    limitConnection: function (socket, next) {
+      var address = signaller.addressOf(socket),
+        action = signaller.rateLimiter.checkConnection(address),
+        error;
+
+      if (action === 'allow') {
+        return next();
+      }
+
+      error = new Error('Connection refused');
+      error.data = action === 'ban' ? {
+        code: 'banned',
+        message: 'Too many requests, try again later'
+      } : {
+        code: 'ratelimited',
+        message: 'Connecting too fast'
+      };
+
+      limitLog.warn('Connection refused', {
+        address: address,
+        code: error.data.code
+      });
+      signaller.emit('rateLimited', {
+        id: socket.id,
+        address: address,
+        type: 'connection',
+        action: action
+      });
+
+      next(error);
+    },
+
+    //Check a protocol message against the rate limits
+    //Returns whether the message should be handled
+    limitMessage: function (socket, type, ack) {
+      var address,
+        action;
+
+      if (!this.rateLimiter) {
+        return true;
+      }
+
+      address = this.addressOf(socket);
+      socket.rateLimit = socket.rateLimit || {};
+      action = this.rateLimiter.checkMessage(socket.rateLimit, address, type);
+
+      if (action === 'allow') {
+        return true;
+      }
+
+      limitLog.log(action === 'warn' ? 'info' : 'warn', 'Message over the rate limit', {
+        room: socket.room ? socket.room.name : null,
+        peer: socket.peerId,
+        type: type,
+        action: action
+      });
+
+      socket.emit('ratelimited', {
+        type: type,
+        action: action
+      });
+
+      if (action !== 'warn') {
+        reply(ack, {
+          delivered: false,
+          code: 'ratelimited',
+          message: 'Sending too fast'
         });
+      }
 
-        //Send an anwer to a target
-        //Answer is an RTCSessionDescription
-        socket.on('answer', function (data) {
-          var recipient = this.room.findSocket(data.target);
-          if (recipient) {
-            recipient.emit('answer', {
-              sender: this.id,
-              answer: data.answer
-            });
-            if (options.debug) console.log('Signaller: user ' + this.id + ' sent answer to ' + recipient.id);
-          }
+      this.emit('rateLimited', {
+        id: socket.peerId,
+        address: address,
+        type: type,
+        action: action
+      });
+
+      if (action === 'disconnect' || action === 'ban') {
+        socket.disconnect();
+      }
+
+      return action === 'warn';
+    },
+
+    //Namespace middleware running options.authenticate against the handshake
+    //Verified users are attached to the socket, everyone else is turned away
+    //with an error event the client can read the code from
+    authenticateSocket: function (socket, next) {
+      options.authenticate(socket.handshake, function (err, user) {
+        var error;
+
+        if (!err && user && signaller.isUserBanned(user.id)) {
+          err = new Error('User is banned');
+          err.code = 'banned';
+        }
+
+        if (err || !user) {
+          error = new Error('Authentication failed');
+          error.data = {
+            code: (err && err.code) || 'unauthorized',
+            message: (err && err.message) || 'Authentication failed'
+          };
+
+          authLog.info('Connection rejected', {
+            socket: socket.id,
+            code: error.data.code,
+            error: error.data.message
+          });
+          signaller.emit('authenticationFailed', {
+            id: socket.id,
+            handshake: socket.handshake,
+            error: err || error
+          });
+
+          return next(error);
+        }
+
+        socket.user = user;
+        signaller.emit('authenticated', {
+          id: socket.id,
+          user: user
+        });
+        next();
+      });
+    },
+
+    //ICE servers for a socket in its current room, from options.iceServers
+    //A function is called with { id, user, room } and a callback taking (err, iceServers, ttl),
+    //so servers can be picked per user or room. ttl is how many seconds the servers' credentials
+    //last, if they expire. done gets (iceServers, ttl), or nulls if there are none to give
+    getIceServers: function (socket, done) {
+      var peer;
+
+      if (typeof options.iceServers !== 'function') {
+        return done(options.iceServers || null, null);
+      }
+
+      peer = {
+        id: socket.peerId,
+        user: socket.user || null,
+        room: socket.room ? socket.room.name : null
+      };
+
+      options.iceServers(peer, function (err, iceServers, ttl) {
+        if (err) {
+          log.error('Could not get ICE servers', {
+            room: peer.room,
+            peer: peer.id,
+            error: err.message
+          });
+          signaller.emit('iceServersFailed', {
+            id: peer.id,
+            room: peer.room,
+            error: err
+          });
+          return done(null, null);
+        }
+        done(iceServers || null, ttl || null);
+      });
+    },
+
+    //Hand a reconnecting socket the session it presents a peer ID and resume token for
+    //It takes the old socket's place in its room without anyone else noticing
+    resumeSession: function (socket) {
+      var query = socket.handshake.query || {},
+        session = query.peerId && this.sessions.get(query.peerId),
+        previous;
+
+      if (!session || !this.sessions.canResume(session, socket, query.resume)) {
+        return false;
+      }
+
+      previous = session.socket;
+      this.sessions.attach(session, socket);
+
+      if (previous.room) {
+        previous.room.replaceSocket(socket);
+        socket.room = previous.room;
+        socket.join(channel(socket.room.name));
+        previous.room = null;
+      }
+
+      //The old socket may not have noticed it's gone yet
+      if (previous.connected) {
+        previous.disconnect();
+      }
+
+      log.debug('Session resumed', {
+        room: socket.room ? socket.room.name : null,
+        peer: session.id
+      });
+      this.emit('resume', {
+        id: session.id,
+        room: socket.room ? socket.room.name : null
+      });
+
+      return session;
+    },
+
+    //Drop a peer for good - leave its room, forget its session and report it
+    endSession: function (socket, reason) {
+      this.leaveRoom(socket);
+      this.sessions.remove(socket.peerId);
+      this.dropNegotiations(socket.peerId);
+      log.debug('Peer disconnected', {
+        peer: socket.peerId,
+        reason: reason
+      });
+      this.emit('disconnect', {
+        id: socket.peerId,
+        reason: reason
+      });
+    },
+
+    //What the host app gets to know about a peer connected to us
+    describeSocket: function (socket) {
+      return {
+        id: socket.peerId,
+        room: socket.room ? socket.room.name : null,
+        metadata: socket.session.metadata,
+        user: socket.user ? socket.user.id : null,
+        address: this.addressOf(socket),
+        connectedAt: socket.session.createdAt,
+        suspended: this.sessions.isHeld(socket.session)
+      };
+    },
+
+    //Every peer connected to us, or only those in one room
+    //Includes peers whose connection dropped and who may still resume
+    listPeers: function (roomName) {
+      var sockets;
+
+      if (roomName) {
+        sockets = this.rooms[roomName] ? this.rooms[roomName].clients : [];
+      } else {
+        sockets = this.sessions.all().map(function (session) {
+          return session.socket;
         });
+      }
+
+      return sockets.map(this.describeSocket, this);
+    },
+
+    //Summary and traffic of one of our rooms, or null if there is no such room
+    getRoomStats: function (name) {
+      var room = this.rooms[name];
+
+      if (!room) {
+        return null;
+      }
+
+      return extend(room.describe(), {
+        stats: room.getStats()
+      });
+    },
+
+    //Disconnect a peer for good, sending it a kicked message with the reason first
+    //Its session ends so it can't resume, but it can connect again unless it is banned
+    kick: function (id, reason) {
+      var session = this.sessions.get(id),
+        socket,
+        room;
+
+      if (!session) {
+        return false;
+      }
 
-        //Broadcast disconnect event to all connected clients
-        socket.on('disconnect', function () {
-          this.room.removeUser(this.id);
-          this.room.room.emit('disconnect', this.id);
+      socket = session.socket;
+      room = socket.room ? socket.room.name : null;
+
+      if (socket.connected) {
+        socket.emit('kicked', {
+          reason: reason || null
         });
+        //Not a transient disconnect, so the session ends right away
+        socket.disconnect();
+      } else {
+        this.endSession(socket, 'kicked');
+      }
+
+      log.info('Peer kicked', {
+        room: room,
+        peer: id,
+        reason: reason || null
+      });
+      this.emit('kicked', {
+        id: id,
+        room: room,
+        reason: reason || null
+      });
+
+      return true;
+    },
+
+    //Kick every peer an authenticated user has and refuse their connections for duration
+    //milliseconds, or until unbanUser without a duration
+    banUser: function (userId, duration, reason) {
+      var sockets = [];
+
+      this.userBans[userId] = duration ? Date.now() + duration : null;
 
-        //Let an answering peer know that the offerer is connected
-        socket.on('peerconnected', function (id) {
-          var recipient = this.room.findSocket(id);
-          if (recipient) {
-            if (options.debug) console.log('Signaller: user ' + id + ' connected with user ' + this.id);
-            recipient.emit('peerconnected', this.id);
+      //Collected first, as kicking the last member closes a room
+      Object.keys(this.rooms).forEach(function (name) {
+        sockets = sockets.concat(this.rooms[name].findByUser(userId));
+      }, this);
+
+      sockets.forEach(function (socket) {
+        this.kick(socket.peerId, reason || 'banned');
+      }, this);
+
+      this.emit('userBanned', {
+        user: userId,
+        until: this.userBans[userId],
+        reason: reason || null
+      });
+    },
+
+    //Lift a user's ban, returning whether there was one
+    unbanUser: function (userId) {
+      var banned = this.isUserBanned(userId);
+      delete this.userBans[userId];
+      return banned;
+    },
+
+    isUserBanned: function (userId) {
+      if (!this.userBans.hasOwnProperty(userId)) {
+        return false;
+      }
+      if (this.userBans[userId] !== null && this.userBans[userId] <= Date.now()) {
+        delete this.userBans[userId];
+        return false;
+      }
+      return true;
+    },
+
+    //Send a systemmessage to everyone in one of our rooms, returning false if there is no such room
+    sendSystemMessage: function (name, text, data) {
+      if (!this.rooms[name]) {
+        return false;
+      }
+
+      this.broadcast(name, 'systemmessage', {
+        room: name,
+        message: text,
+        data: data === undefined ? null : data,
+        sentAt: Date.now()
+      });
+
+      return true;
+    },
+
+    //Change what a peer tells the rest of its room about itself and let the room know
+    //Keys set to null in the patch are removed
+    updateMetadata: function (socket, patch) {
+      if (!metadata.isValid(patch)) {
+        return false;
+      }
+
+      var updated = metadata.merge(socket.session.metadata, patch);
+
+      if (!metadata.isValid(updated, options.maxMetadataSize)) {
+        log.debug('Metadata too large', {
+          room: socket.room ? socket.room.name : null,
+          peer: socket.peerId
+        });
+        return false;
+      }
+
+      socket.session.metadata = updated;
+
+      if (socket.room) {
+        this.broadcast(socket.room.name, 'metadataupdated', createRoom.describePeer(socket));
+
+        if (this.cluster) {
+          this.cluster.announceMetadata(createRoom.describePeer(socket), socket.room.name);
+        }
+      }
+
+      this.emit('metadataUpdated', {
+        id: socket.peerId,
+        room: socket.room ? socket.room.name : null,
+        metadata: updated
+      });
+
+      return true;
+    },
+
+    //Turn away a protocol message that doesn't match its schema
+    rejectInvalid: function (socket, type, data, error, ack) {
+      log.debug('Invalid message', {
+        room: socket.room ? socket.room.name : null,
+        peer: socket.peerId,
+        type: type,
+        error: error
+      });
+
+      reply(ack, {
+        delivered: false,
+        code: 'invalid',
+        message: error
+      });
+
+      socket.emit('invalidmessage', {
+        type: type,
+        code: 'invalid',
+        message: error
+      });
+
+      this.emit('invalidMessage', {
+        id: socket.peerId,
+        room: socket.room ? socket.room.name : null,
+        type: type,
+        data: data,
+        error: error
+      });
+    },
+
+    //Bind all protocol events for a newly connected socket
+    handleConnection: function (socket) {
+
+      //Listen for a protocol message, checking it against the rate limits and its schema first
+      //Handlers are called with the message and the client's acknowledgement callback, if any
+      function on(type, handler) {
+        socket.on(type, function (data) {
+          var ack = arguments[arguments.length - 1],
+            error;
+
+          if (typeof ack !== 'function') {
+            ack = null;
+          }
+
+          //A message without a payload arrives with the acknowledgement as its only argument
+          if (data === ack) {
+            data = undefined;
           }
+
+          //Messages already queued when we disconnected a socket still arrive
+          if (!this.connected || !signaller.limitMessage(this, type, ack)) {
+            return;
+          }
+
+          error = schema.validate(signaller.schemas, type, data);
+          if (error) {
+            return signaller.rejectInvalid(this, type, data, error, ack);
+          }
+          handler.call(this, data, ack);
+        });
+      }
+
+      signaller.emit('connection', socket);
+
+      var resumed = !!signaller.resumeSession(socket);
+
+      if (!resumed) {
+        signaller.sessions.create(socket);
+
+        //Whatever the client wants the room to know about it from the start
+        socket.session.metadata = metadata.parse(socket.handshake.query && socket.handshake.query.metadata, options.maxMetadataSize);
+
+        //Everyone starts in the default room, if there is one
+        if (signaller.defaultRoom) {
+          signaller.joinRoom(socket, signaller.defaultRoom);
+        }
+      }
+
+      //Return our peer ID, the token to resume it with, the room we are in and the ICE servers to use
+      signaller.getIceServers(socket, function (iceServers, ttl) {
+        if (!socket.connected) {
+          return;
+        }
+        socket.emit('initialized', {
+          id: socket.peerId,
+          token: socket.session.token,
+          room: socket.room ? socket.room.name : null,
+          metadata: socket.session.metadata,
+          resumed: resumed,
+          iceServers: iceServers,
+          iceServersTtl: ttl
         });
+      });
 
-        //Send ICE candidate to peer
-        socket.on('icecandidate', function (data) {
+      log.debug('Peer connected', {
+        room: socket.room ? socket.room.name : null,
+        peer: socket.peerId,
+        resumed: resumed
+      });
 
-          //Probably an unnecessary check but was throwing errors at one point
-          var recipient = this.room.findSocket(data.target);
-          if (recipient) {
-            if (options.debug && options.debug === 'verbose') console.log('Sending ice candidate from ' + this.id + ' to ' + data.target);
+      //Move to another room, creating it if allowed
+      //A room that doesn't exist and may not be created is reported with joinerror
+      on('join', function (name, ack) {
+        var error;
 
-            //Emit ice candidate
-            recipient.emit('icecandidate', {
-              sender: this.id,
-              candidate: data.candidate
+        //Bans only reach members of a room, so one outside them is caught here
+        if (this.user && signaller.isUserBanned(this.user.id)) {
+          return signaller.kick(this.peerId, 'banned');
+        }
+
+        if (signaller.joinRoom(this, name)) {
+          reply(ack, {
+            joined: true,
+            room: name
+          });
+          signaller.getIceServers(this, function (iceServers, ttl) {
+            socket.emit('joined', {
+              room: name,
+              iceServers: iceServers,
+              iceServersTtl: ttl
             });
+          });
+        } else {
+          roomLog.debug('Peer tried to join unknown room', {
+            room: name,
+            peer: this.peerId
+          });
+          error = {
+            room: name,
+            code: 'noroom',
+            message: 'Room not found'
+          };
+          reply(ack, {
+            joined: false,
+            code: error.code,
+            message: error.message
+          });
+          socket.emit('joinerror', error);
+        }
+      });
+
+      //Leave the current room without disconnecting
+      on('leave', function () {
+        var left = signaller.leaveRoom(this);
+        if (left) {
+          socket.emit('left', {
+            room: left.name
+          });
+        }
+      });
+
+      //Change our metadata and tell the room
+      on('updatemetadata', function (patch) {
+        signaller.updateMetadata(this, patch);
+      });
+
+      //Fresh ICE servers for a client whose TURN credentials are about to expire
+      on('geticeservers', function (data, ack) {
+        signaller.getIceServers(this, function (iceServers, ttl) {
+          var result = {
+            iceServers: iceServers,
+            ttl: ttl
+          };
+          if (ack) {
+            ack(result);
           } else {
-            if (options.debug) console.log('Recipient not found!');
+            socket.emit('iceservers', result);
           }
         });
+      });
 
-        //Need to let peer know that stream has been removed to combat the phantom remote MediaStream bug
-        socket.on('streamremoved', function (target) {
-          var recipient = this.room.findSocket(target);
-          if (recipient) {
-            if (options.debug) console.log('Sending streamremoved from ' + this.id + ' to ' + target);
-            recipient.emit('streamremoved', this.id);
-          }
+      //Return a list of connected users
+      on('list', function () {
+        socket.emit('list', this.room ? signaller.getPeers(this.room.name, this.peerId) : []);
+        log.trace('Peer list sent', {
+          room: this.room ? this.room.name : null,
+          peer: this.peerId
         });
-      }.bind(this));
+      });
+
+      //Send an offer to a target
+      //Offer is an RTCSessionDescription
+      on('offer', function (data, ack) {
+        signaller.relay(this, 'offer', data.target, data.offer, ack);
+      });
+
+      //Send an anwer to a target
+      //Answer is an RTCSessionDescription
+      on('answer', function (data, ack) {
+        signaller.relay(this, 'answer', data.target, data.answer, ack);
+      });
+
+      //Broadcast disconnect event to the rest of the room
+      //If the connection just dropped, give the client a chance to come back first
+      socket.on('disconnect', function (reason) {
+        var session = this.session;
+
+        //Replaced by a resumed connection, nothing to clean up
+        if (session.socket !== this) return;
+
+        if (options.reconnectGracePeriod && transientDisconnects.indexOf(reason) !== -1 && this.room) {
+          signaller.sessions.hold(session, options.reconnectGracePeriod, function () {
+            signaller.endSession(socket, reason);
+          });
+          signaller.emit('suspend', {
+            id: this.peerId,
+            room: this.room.name,
+            reason: reason
+          });
+          return;
+        }
+
+        signaller.endSession(this, reason);
+      });
+
+      //Let an answering peer know that the offerer is connected
+      on('peerconnected', function (id, ack) {
+        signaller.relay(this, 'peerconnected', id, undefined, ack);
+      });
+
+      //Send ICE candidate to peer
+      on('icecandidate', function (data, ack) {
+        signaller.relay(this, 'icecandidate', data.target, data.candidate, ack);
+      });
+
+      //Need to let peer know that stream has been removed to combat the phantom remote MediaStream bug
+      on('streamremoved', function (target, ack) {
+        signaller.relay(this, 'streamremoved', target, undefined, ack);
+      });
     }
+  });
+
+  if (options.cluster) {
+    signaller.cluster = createCluster(signaller, options.cluster, extend({
+      logger: log
+    }, options.clusterOptions));
+  }
+
+  return signaller;
+}
+
+//Original single-room signature: one namespace named after the room, which everyone joins on connect
+module.exports = function (io, room, options) {
+  var signaller = createSignalerServer(io, extend({}, options, {
+    namespace: '/' + room,
+    defaultRoom: room
+  }));
+
+  signaller.roomName = room;
+
+  //What the single-room API exposed, forwarded to the room
+  Object.defineProperty(signaller, 'clients', {
+    enumerable: true,
+    get: function () {
+      var current = this.getRoom(room);
+      return current ? current.clients : [];
+    }
+  });
+
+  //Find a user by peer ID
+  signaller.findSocket = function (id) {
+    var current = this.getRoom(room);
+    return current ? current.findSocket(id) : false;
+  };
+
+  //Return an array of all other IDs
+  signaller.getUserIds = function (currentId) {
+    var current = this.getRoom(room);
+    return current ? current.getUserIds(currentId) : [];
+  };
+
+  //Remove a user from the room, letting the rest of the room know as if it had left
+  signaller.removeUser = function (id) {
+    var socket = this.findSocket(id);
+    return socket ? !!this.leaveRoom(socket) : false;
   };
-};
\ No newline at end of file
+
+  return signaller;
+};
+
+module.exports.createSignalerServer = createSignalerServer;
+module.exports.auth = auth;
+module.exports.cluster = createCluster;
+module.exports.turn = turn;
+module.exports.admin = createAdminRouter;
+module.exports.metrics = createMetrics;
+module.exports.logger = createLogger;
@@ -0,0 +1,235 @@
+/* jshint node:true, mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var auth = require('../lib/auth');
+
+var secret = 'test-secret';
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+//Token with any header, signed with HMAC-SHA256 whatever the header says
+function forge(header, payload, key) {
+  var body = base64url(header) + '.' + base64url(payload);
+
+  return body + '.' + crypto.createHmac('sha256', key || secret).update(body).digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+//Run fn, which should throw, and return what it threw
+function thrown(fn) {
+  try {
+    fn();
+  } catch (e) {
+    return e;
+  }
+  assert.fail('Expected an error');
+}
+
+describe('Token verification', function () {
+
+  it('returns the payload of a token it signed', function () {
+    var payload = auth.verify(auth.sign({
+      sub: 'alice'
+    }, secret, {
+      expiresIn: 60
+    }), secret);
+
+    assert.equal(payload.sub, 'alice');
+    assert.equal(payload.exp, payload.iat + 60);
+  });
+
+  it('rejects a token signed with another secret', function () {
+    var error = thrown(function () {
+      auth.verify(auth.sign({
+        sub: 'alice'
+      }, 'other-secret'), secret);
+    });
+
+    assert.equal(error.code, 'token_invalid');
+    assert.equal(error.message, 'Invalid token signature');
+  });
+
+  it('rejects a token whose payload was changed', function () {
+    var parts = auth.sign({
+      sub: 'alice'
+    }, secret).split('.');
+
+    assert.equal(thrown(function () {
+      auth.verify([parts[0], base64url({
+        sub: 'admin'
+      }), parts[2]].join('.'), secret);
+    }).message, 'Invalid token signature');
+  });
+
+  it('rejects algorithms other than HS256', function () {
+    ['none', 'HS512', 'RS256'].forEach(function (alg) {
+      var error = thrown(function () {
+        auth.verify(forge({
+          alg: alg,
+          typ: 'JWT'
+        }, {
+          sub: 'alice'
+        }), secret);
+      });
+
+      assert.equal(error.code, 'token_invalid');
+      assert.equal(error.message, 'Unsupported token algorithm');
+    });
+  });
+
+  it('rejects malformed tokens', function () {
+    ['', 'abc', 'a.b', 'a.b.c', null].forEach(function (token) {
+      assert.equal(thrown(function () {
+        auth.verify(token, secret);
+      }).code, 'token_invalid');
+    });
+  });
+
+  it('rejects expired tokens', function () {
+    var token = auth.sign({
+      sub: 'alice',
+      exp: now() - 5
+    }, secret);
+
+    assert.equal(thrown(function () {
+      auth.verify(token, secret);
+    }).code, 'token_expired');
+  });
+
+  it('rejects a token in the second it expires', function () {
+    var token = auth.sign({
+      sub: 'alice',
+      exp: now()
+    }, secret);
+
+    assert.equal(thrown(function () {
+      auth.verify(token, secret);
+    }).code, 'token_expired');
+  });
+
+  it('accepts expired tokens within the clock tolerance', function () {
+    var token = auth.sign({
+      sub: 'alice',
+      exp: now() - 5
+    }, secret);
+
+    assert.equal(auth.verify(token, secret, {
+      clockTolerance: 30
+    }).sub, 'alice');
+    assert.equal(thrown(function () {
+      auth.verify(token, secret, {
+        clockTolerance: 2
+      });
+    }).code, 'token_expired');
+  });
+
+  it('rejects tokens before nbf unless within the clock tolerance', function () {
+    var token = auth.sign({
+      sub: 'alice',
+      nbf: now() + 10
+    }, secret);
+
+    assert.equal(thrown(function () {
+      auth.verify(token, secret);
+    }).message, 'Token not valid yet');
+    assert.equal(auth.verify(token, secret, {
+      clockTolerance: 30
+    }).sub, 'alice');
+  });
+
+  it('checks the issuer and audience when asked to', function () {
+    var token = auth.sign({
+      sub: 'alice',
+      iss: 'app',
+      aud: 'signaler'
+    }, secret);
+
+    assert.equal(auth.verify(token, secret, {
+      issuer: 'app',
+      audience: 'signaler'
+    }).sub, 'alice');
+    assert.equal(thrown(function () {
+      auth.verify(token, secret, {
+        issuer: 'other'
+      });
+    }).message, 'Unexpected token issuer');
+    assert.equal(thrown(function () {
+      auth.verify(token, secret, {
+        audience: 'other'
+      });
+    }).message, 'Unexpected token audience');
+  });
+});
+
+describe('Token authenticate function', function () {
+  var authenticate = auth.jwt(secret);
+
+  it('calls back with the token subject as the user', function (done) {
+    var token = auth.sign({
+      sub: 'alice'
+    }, secret);
+
+    authenticate({
+      query: {
+        token: token
+      }
+    }, function (err, user) {
+      assert.ifError(err);
+      assert.equal(user.id, 'alice');
+      assert.equal(user.claims.sub, 'alice');
+      done();
+    });
+  });
+
+  it('reads a bearer token from the Authorization header', function (done) {
+    authenticate({
+      headers: {
+        authorization: 'Bearer ' + auth.sign({
+          sub: 'bob'
+        }, secret)
+      }
+    }, function (err, user) {
+      assert.ifError(err);
+      assert.equal(user.id, 'bob');
+      done();
+    });
+  });
+
+  it('calls back with token_missing without a token', function (done) {
+    authenticate({
+      query: {},
+      headers: {}
+    }, function (err, user) {
+      assert.equal(err.code, 'token_missing');
+      assert.equal(user, undefined);
+      done();
+    });
+  });
+
+  it('calls back with the verification error for a bad token', function (done) {
+    authenticate({
+      query: {
+        token: auth.sign({
+          sub: 'alice'
+        }, 'other-secret')
+      }
+    }, function (err) {
+      assert.equal(err.code, 'token_invalid');
+      done();
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/* jshint node:true, mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var net = require('net');
+var io = require('socket.io');
+var ioClient = require('socket.io-client');
+var signaler = require('../signaler');
+var resp = require('../lib/cluster/resp');
+
+//Call check every few milliseconds until it returns true, failing after a second
+function waitFor(check, done) {
+  var started = Date.now();
+
+  (function poll() {
+    if (check()) {
+      return done();
+    }
+    if (Date.now() - started > 1000) {
+      return done(new Error('Timed out waiting'));
+    }
+    setTimeout(poll, 10);
+  }());
+}
+
+describe('RESP parser', function () {
+
+  it('reports input that is not RESP instead of throwing', function () {
+    var replies = [],
+      errors = [],
+      parse = resp.createParser(replies.push.bind(replies), errors.push.bind(errors));
+
+    parse(Buffer.from('+OK\r\n!nonsense\r\n+LOST\r\n'));
+
+    assert.deepEqual(replies, ['OK']);
+    assert.equal(errors.length, 1);
+
+    //Parses again once the bad input is gone
+    parse(Buffer.from(':3\r\n'));
+    assert.deepEqual(replies, ['OK', 3]);
+  });
+});
+
+describe('Redis cluster backend', function () {
+  var standin,
+    sockets,
+    servers,
+    signallers,
+    clients;
+
+  //Signaler on its own HTTP server sharing rooms through the stand-in
+  function createNode(done) {
+    var server = http.Server(),
+      signaller = signaler.createSignalerServer(io(server), {
+        defaultRoom: 'lobby',
+        logger: {
+          level: 'silent'
+        },
+        cluster: signaler.cluster.redis({
+          port: standin.address().port,
+          reconnectDelay: 20
+        }),
+        clusterOptions: {
+          heartbeatInterval: 50
+        }
+      });
+
+    signaller.cluster.backend.on('error', function () {});
+    servers.push(server);
+    signallers.push(signaller);
+
+    server.listen(0, function () {
+      signaller.start();
+      done(signaller, 'http://127.0.0.1:' + server.address().port + '/');
+    });
+  }
+
+  function connect(url, done) {
+    var client = ioClient(url, {
+      forceNew: true
+    });
+
+    clients.push(client);
+    client.on('initialized', function (data) {
+      done(data.id);
+    });
+  }
+
+  function remoteIds(signaller) {
+    return signaller.cluster.getPeers('lobby').map(function (peer) {
+      return peer.id;
+    });
+  }
+
+  //Drop every connection to the stand-in
+  function dropConnections() {
+    sockets.splice(0).forEach(function (socket) {
+      socket.destroy();
+    });
+  }
+
+  beforeEach(function (done) {
+    sockets = [];
+    servers = [];
+    signallers = [];
+    clients = [];
+    standin = signaler.cluster.redisStandin();
+    standin.on('connection', function (socket) {
+      sockets.push(socket);
+    });
+    standin.listen(0, '127.0.0.1', done);
+  });
+
+  afterEach(function () {
+    clients.forEach(function (client) {
+      client.close();
+    });
+    signallers.forEach(function (signaller) {
+      signaller.close();
+    });
+    servers.forEach(function (server) {
+      server.close();
+    });
+    dropConnections();
+    standin.close();
+  });
+
+  it('shares peers between nodes', function (done) {
+    createNode(function (first, url) {
+      createNode(function (second) {
+        connect(url, function (id) {
+          waitFor(function () {
+            return remoteIds(second).indexOf(id) !== -1;
+          }, done);
+        });
+      });
+    });
+  });
+
+  it('syncs again after the subscriber reconnects', function (done) {
+    createNode(function (first, url) {
+      createNode(function (second) {
+        var reconnected = false;
+
+        second.cluster.backend.on('reconnect', function () {
+          reconnected = true;
+        });
+
+        waitFor(function () {
+          return second.cluster.backend.subscribed;
+        }, function () {
+          //Stop the second node hearing anything, then have a peer join the first while it's deaf
+          second.cluster.backend.subscriber.socket.destroy();
+
+          connect(url, function (id) {
+            waitFor(function () {
+              return reconnected && remoteIds(second).indexOf(id) !== -1;
+            }, done);
+          });
+        });
+      });
+    });
+  });
+
+  it('hears from the other nodes again when started after closing', function (done) {
+    createNode(function (first) {
+      createNode(function (second, url) {
+        first.close();
+        first.start();
+
+        connect(url, function (id) {
+          waitFor(function () {
+            return remoteIds(first).indexOf(id) !== -1;
+          }, done);
+        });
+      });
+    });
+  });
+
+  it('gets the peers of a node it gave up on back from its next heartbeat', function (done) {
+    createNode(function (first, url) {
+      createNode(function (second) {
+        connect(url, function (id) {
+          waitFor(function () {
+            return remoteIds(second).indexOf(id) !== -1;
+          }, function () {
+            second.cluster.removeNode(first.cluster.id);
+            assert.deepEqual(remoteIds(second), []);
+
+            waitFor(function () {
+              return remoteIds(second).indexOf(id) !== -1;
+            }, done);
+          });
+        });
+      });
+    });
+  });
+
+  it('fails and reconnects when the server sends something that is not RESP', function (done) {
+    var connections = 0,
+      errors = [],
+      broken = net.createServer(function (socket) {
+        connections++;
+        socket.on('error', function () {});
+        socket.write('!nonsense\r\n');
+      }),
+      backend;
+
+    broken.listen(0, '127.0.0.1', function () {
+      backend = signaler.cluster.redis({
+        port: broken.address().port,
+        reconnectDelay: 20
+      });
+      backend.on('error', errors.push.bind(errors));
+
+      waitFor(function () {
+        return connections >= 3 && errors.length >= 3;
+      }, function (err) {
+        backend.close();
+        broken.close();
+        done(err);
+      });
+    });
+  });
+});
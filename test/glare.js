@@ -0,0 +1,231 @@
+/* jshint node:true, mocha:true */
+/* globals Promise */
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var io = require('socket.io');
+var signaler = require('../signaler');
+
+//Call check every few milliseconds until it returns true, failing after a second
+function waitFor(check, done) {
+  var started = Date.now();
+
+  (function poll() {
+    if (check()) {
+      return done();
+    }
+    if (Date.now() - started > 1000) {
+      return done(new Error('Timed out waiting'));
+    }
+    setTimeout(poll, 10);
+  }());
+}
+
+//Smallest session description the server lets through
+var sdp = 'v=0\r\no=- 1 1 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n';
+
+//Just enough of an RTCPeerConnection to follow the signaling state through an offer and answer,
+//a few milliseconds behind like a browser, recording each description set in history
+function FakePeerConnection() {
+  this.signalingState = 'stable';
+  this.localDescription = null;
+  this.remoteDescription = null;
+  this.history = [];
+}
+
+FakePeerConnection.prototype.fail = function (message) {
+  var error = new Error(message);
+  error.name = 'InvalidStateError';
+  return Promise.reject(error);
+};
+
+FakePeerConnection.prototype.later = function (fn) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, 5);
+  }).then(fn.bind(this));
+};
+
+FakePeerConnection.prototype.createOffer = function () {
+  return Promise.resolve({
+    type: 'offer',
+    sdp: sdp
+  });
+};
+
+FakePeerConnection.prototype.createAnswer = function () {
+  if (this.signalingState !== 'have-remote-offer') {
+    return this.fail('No offer to answer in ' + this.signalingState);
+  }
+  return Promise.resolve({
+    type: 'answer',
+    sdp: sdp
+  });
+};
+
+FakePeerConnection.prototype.setLocalDescription = function (description) {
+  return this.later(function () {
+    if (description.type === 'rollback') {
+      if (this.signalingState !== 'have-local-offer') {
+        return this.fail('Nothing to roll back in ' + this.signalingState);
+      }
+      this.localDescription = null;
+      this.signalingState = 'stable';
+    } else if (description.type === 'offer') {
+      if (this.signalingState !== 'stable') {
+        return this.fail('Cannot offer in ' + this.signalingState);
+      }
+      this.localDescription = description;
+      this.signalingState = 'have-local-offer';
+    } else {
+      if (this.signalingState !== 'have-remote-offer') {
+        return this.fail('Cannot answer in ' + this.signalingState);
+      }
+      this.localDescription = description;
+      this.signalingState = 'stable';
+    }
+    this.history.push('local ' + description.type);
+  });
+};
+
+FakePeerConnection.prototype.setRemoteDescription = function (description) {
+  return this.later(function () {
+    if (description.type === 'offer' && this.signalingState !== 'stable') {
+      return this.fail('Offer collided in ' + this.signalingState);
+    }
+    if (description.type === 'answer' && this.signalingState !== 'have-local-offer') {
+      return this.fail('Unexpected answer in ' + this.signalingState);
+    }
+    this.remoteDescription = description;
+    this.signalingState = description.type === 'offer' ? 'have-remote-offer' : 'stable';
+    this.history.push('remote ' + description.type);
+  });
+};
+
+FakePeerConnection.prototype.addIceCandidate = function () {
+  return Promise.resolve();
+};
+
+FakePeerConnection.prototype.close = function () {
+  this.signalingState = 'closed';
+};
+
+describe('Offer collisions', function () {
+  var PeerConnectionClient,
+    server,
+    signaller,
+    clients,
+    failures;
+
+  before(function () {
+    global.window = {
+      location: {
+        protocol: 'http:',
+        host: 'localhost'
+      },
+      RTCPeerConnection: FakePeerConnection,
+      RTCSessionDescription: function (description) {
+        this.type = description.type;
+        this.sdp = description.sdp;
+      },
+      RTCIceCandidate: function (candidate) {
+        this.candidate = candidate.candidate;
+      }
+    };
+    global.navigator = {};
+    PeerConnectionClient = require('../client/src/signaler-client');
+  });
+
+  after(function () {
+    delete global.window;
+    delete global.navigator;
+  });
+
+  //Each client on its own host, so Socket.IO doesn't share one connection between them
+  function connect(host, done) {
+    var client = new PeerConnectionClient({
+      server: 'http://' + host + ':' + server.address().port + '/',
+      room: 'lobby',
+      logLevel: 'silent'
+    });
+
+    clients.push(client);
+    client.on('negotiationFailed', function (id, error) {
+      failures.push(error);
+    });
+    client.socket.on('initialized', function () {
+      done(client);
+    });
+  }
+
+  function connection(client, other) {
+    return client.getPeer(other.id).connection;
+  }
+
+  beforeEach(function (done) {
+    server = http.Server();
+    signaller = signaler.createSignalerServer(io(server), {
+      namespace: '/lobby',
+      defaultRoom: 'lobby',
+      logger: {
+        level: 'silent'
+      }
+    });
+    clients = [];
+    failures = [];
+
+    server.listen(0, '127.0.0.1', function () {
+      signaller.start();
+      done();
+    });
+  });
+
+  afterEach(function () {
+    clients.forEach(function (client) {
+      client.socket.close();
+    });
+    signaller.close();
+    server.close();
+  });
+
+  it('lets the polite peer give way when both offer at once', function (done) {
+    connect('127.0.0.1', function (first) {
+      connect('localhost', function (second) {
+        waitFor(function () {
+          return first.hasPeer(second.id) && second.hasPeer(first.id);
+        }, function (err) {
+          var polite, impolite;
+
+          if (err) {
+            return done(err);
+          }
+
+          polite = first.isPolite(first.getPeer(second.id)) ? first : second;
+          impolite = polite === first ? second : first;
+          assert.ok(!impolite.isPolite(impolite.getPeer(polite.id)));
+
+          //Neither has heard the other's offer when it sends its own
+          first.createOffer(first.getPeer(second.id));
+          second.createOffer(second.getPeer(first.id));
+
+          waitFor(function () {
+            return connection(impolite, polite).history.indexOf('remote answer') !== -1;
+          }, function (err) {
+            if (err) {
+              return done(err);
+            }
+
+            assert.deepEqual(connection(polite, impolite).history,
+              ['local offer', 'local rollback', 'remote offer', 'local answer']);
+            assert.deepEqual(connection(impolite, polite).history, ['local offer', 'remote answer']);
+            assert.equal(connection(polite, impolite).signalingState, 'stable');
+            assert.equal(connection(impolite, polite).signalingState, 'stable');
+            assert.deepEqual(failures, []);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/* jshint node:true, mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+var createRateLimiter = require('../lib/ratelimit');
+
+describe('Rate limiter', function () {
+  var limiter;
+
+  beforeEach(function () {
+    //One join per socket, refilling too slowly to matter during a test
+    limiter = createRateLimiter({
+      events: {
+        join: {
+          rate: 0.001,
+          burst: 1
+        }
+      },
+      escalation: {
+        warn: 1,
+        drop: 2,
+        disconnect: 3,
+        ban: 4
+      },
+      banDuration: 60000
+    });
+  });
+
+  it('escalates from warn to drop, disconnect and ban as violations add up', function () {
+    var socket = {},
+      actions = [1, 2, 3, 4, 5].map(function () {
+        return limiter.checkMessage(socket, '10.0.0.1', 'join');
+      });
+
+    assert.deepEqual(actions, ['allow', 'warn', 'drop', 'disconnect', 'ban']);
+    assert.ok(limiter.isBanned('10.0.0.1'));
+    assert.equal(limiter.checkConnection('10.0.0.1'), 'ban');
+
+    assert.equal(limiter.counters.warned, 1);
+    assert.equal(limiter.counters.dropped, 3);
+    assert.equal(limiter.counters.disconnected, 2);
+    assert.equal(limiter.counters.banned, 1);
+    assert.equal(limiter.counters.byEvent.join, 4);
+  });
+
+  it('keeps buckets per socket but counts violations per address', function () {
+    var first = {},
+      second = {};
+
+    assert.equal(limiter.checkMessage(first, '10.0.0.1', 'join'), 'allow');
+    assert.equal(limiter.checkMessage(second, '10.0.0.1', 'join'), 'allow');
+    assert.equal(limiter.checkMessage(first, '10.0.0.1', 'join'), 'warn');
+    assert.equal(limiter.checkMessage(second, '10.0.0.1', 'join'), 'drop');
+
+    //Another address has its own count
+    assert.equal(limiter.checkMessage({}, '10.0.0.2', 'join'), 'allow');
+    assert.ok(!limiter.isBanned('10.0.0.2'));
+  });
+
+  it('forgets violations once an address behaves for violationWindow', function () {
+    var socket = {},
+      state;
+
+    limiter.checkMessage(socket, '10.0.0.1', 'join');
+    assert.equal(limiter.checkMessage(socket, '10.0.0.1', 'join'), 'warn');
+    assert.equal(limiter.checkMessage(socket, '10.0.0.1', 'join'), 'drop');
+
+    state = limiter.getAddress('10.0.0.1', Date.now());
+    state.lastViolation -= 60001;
+
+    assert.equal(limiter.checkMessage(socket, '10.0.0.1', 'join'), 'warn');
+  });
+
+  it('lets bans expire, and keeps bans without a duration', function () {
+    limiter.ban('10.0.0.1', 1000);
+    limiter.ban('10.0.0.2', null);
+
+    assert.ok(limiter.isBanned('10.0.0.1'));
+    assert.ok(!limiter.isBanned('10.0.0.1', Date.now() + 1001));
+    assert.ok(limiter.isBanned('10.0.0.2', Date.now() + 1e9));
+
+    limiter.unban('10.0.0.2');
+    assert.ok(!limiter.isBanned('10.0.0.2'));
+  });
+
+  it('refuses addresses connecting faster than the connection limit', function () {
+    var actions;
+
+    limiter = createRateLimiter({
+      connections: {
+        rate: 0.001,
+        burst: 2
+      }
+    });
+
+    actions = [1, 2, 3].map(function () {
+      return limiter.checkConnection('10.0.0.1');
+    });
+
+    assert.deepEqual(actions, ['allow', 'allow', 'drop']);
+  });
+
+  it('treats addresses named after Object.prototype members like any other', function () {
+    assert.equal(limiter.checkConnection('constructor'), 'allow');
+    assert.equal(limiter.checkMessage({}, '__proto__', 'join'), 'allow');
+    assert.ok(!limiter.isBanned('hasOwnProperty'));
+  });
+});
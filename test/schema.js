@@ -0,0 +1,112 @@
+/* jshint node:true, mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+var schema = require('../lib/schema');
+
+var sdp = 'v=0\r\no=- 1 1 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n';
+
+function offer(description) {
+  return {
+    target: 'peer1',
+    offer: description
+  };
+}
+
+describe('Message schemas', function () {
+  var schemas = schema.createSchemas();
+
+  it('lets a well-formed offer through', function () {
+    assert.equal(schema.validate(schemas, 'offer', offer({
+      type: 'offer',
+      sdp: sdp,
+      streams: {
+        stream1: {
+          label: 'camera',
+          kind: 'video'
+        }
+      }
+    })), null);
+  });
+
+  it('rejects SDP without the version, origin and session name lines', function () {
+    ['hello', 'v=0\r\ns=-\r\n', 'o=- 1 1 IN IP4 127.0.0.1\r\nv=0\r\ns=-\r\n'].forEach(function (text) {
+      assert.equal(schema.validate(schemas, 'offer', offer({
+        type: 'offer',
+        sdp: text
+      })), 'offer.offer.sdp is not a valid session description');
+    });
+  });
+
+  it('rejects an answer sent as an offer', function () {
+    assert.equal(schema.validate(schemas, 'offer', offer({
+      type: 'answer',
+      sdp: sdp
+    })), 'offer.offer.type must be one of offer');
+  });
+
+  it('rejects SDP over maxSdpSize', function () {
+    var small = schema.createSchemas({
+      maxSdpSize: 100
+    });
+
+    assert.equal(schema.validate(small, 'offer', offer({
+      type: 'offer',
+      sdp: sdp + new Array(100).join('a')
+    })), 'offer.offer.sdp must be at most 100 characters');
+  });
+
+  it('rejects stream descriptions over maxMetadataSize', function () {
+    var small = schema.createSchemas({
+      maxMetadataSize: 50
+    });
+
+    assert.equal(schema.validate(small, 'answer', {
+      target: 'peer1',
+      answer: {
+        type: 'answer',
+        sdp: sdp,
+        streams: {
+          stream1: {
+            metadata: new Array(60).join('a')
+          }
+        }
+      }
+    }), 'answer.answer.streams must be at most 50 characters as JSON');
+  });
+
+  it('rejects metadata over maxMetadataSize', function () {
+    assert.equal(schema.validate(schemas, 'updatemetadata', {
+      name: new Array(5000).join('a')
+    }), 'updatemetadata must be at most 4096 characters as JSON');
+  });
+
+  it('rejects ICE candidates over maxCandidateSize', function () {
+    assert.equal(schema.validate(schemas, 'icecandidate', {
+      target: 'peer1',
+      candidate: {
+        candidate: new Array(3000).join('a')
+      }
+    }), 'icecandidate.candidate must be at most 2048 characters as JSON');
+  });
+
+  it('rejects missing targets, wrong types and long room names', function () {
+    assert.equal(schema.validate(schemas, 'offer', {
+      offer: {
+        type: 'offer',
+        sdp: sdp
+      }
+    }), 'offer.target is required');
+    assert.equal(schema.validate(schemas, 'offer', 'offer'), 'offer must be an object');
+    assert.equal(schema.validate(schemas, 'updatemetadata', ['a']), 'updatemetadata must be an object');
+    assert.equal(schema.validate(schemas, 'join', ''), 'join must not be empty');
+    assert.equal(schema.validate(schemas, 'join', new Array(130).join('a')), 'join must be at most 128 characters');
+  });
+
+  it('lets messages without a schema through', function () {
+    assert.equal(schema.validate(schemas, 'custom', {
+      anything: true
+    }), null);
+  });
+});
@@ -0,0 +1,174 @@
+/* jshint node:true, mocha:true */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var auth = require('../lib/auth');
+var turn = require('../lib/turn');
+
+var secret = 'turn-secret';
+
+//Just enough of an Express response to see what a route answered
+function createResponse(done) {
+  var res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set: function (name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    status: function (code) {
+      res.statusCode = code;
+      return res;
+    },
+    json: function (body) {
+      res.body = body;
+      done(res);
+      return res;
+    }
+  };
+
+  return res;
+}
+
+describe('TURN credentials', function () {
+
+  it('issues expiry:user with the base64 HMAC-SHA1 of it as the password', function () {
+    var before = Math.floor(Date.now() / 1000),
+      issued = turn.credentials(secret, 'alice', 3600),
+      parts = issued.username.split(':');
+
+    assert.equal(parts.length, 2);
+    assert.equal(parts[1], 'alice');
+    assert.equal(Number(parts[0]), issued.expires);
+    assert.ok(issued.expires >= before + 3600 && issued.expires <= before + 3601);
+    assert.equal(issued.credential, crypto.createHmac('sha1', secret).update(issued.username).digest('base64'));
+  });
+
+  it('hands every peer credentials for its user, or its peer ID without one', function (done) {
+    var iceServers = turn.iceServers({
+      secret: secret,
+      urls: ['turn:turn.example.com:3478'],
+      stun: ['stun:turn.example.com:3478'],
+      ttl: 600
+    });
+
+    iceServers({
+      id: 'peer1',
+      user: {
+        id: 'alice'
+      }
+    }, function (err, servers, ttl) {
+      assert.ifError(err);
+      assert.equal(ttl, 600);
+      assert.deepEqual(servers[0], {
+        urls: ['stun:turn.example.com:3478']
+      });
+      assert.equal(servers[1].username.split(':')[1], 'alice');
+
+      iceServers({
+        id: 'peer1'
+      }, function (err, servers) {
+        assert.equal(servers[1].username.split(':')[1], 'peer1');
+        done();
+      });
+    });
+  });
+});
+
+describe('TURN credentials route', function () {
+  var route = turn.route({
+    secret: secret,
+    urls: ['turn:turn.example.com:3478'],
+    ttl: 600,
+    authenticate: auth.jwt('auth-secret')
+  });
+
+  function request(query, headers, done) {
+    route({
+      query: query,
+      headers: headers
+    }, createResponse(done));
+  }
+
+  it('needs an authenticate function', function () {
+    assert.throws(function () {
+      turn.route({
+        secret: secret
+      });
+    }, /authenticate/);
+  });
+
+  it('answers 401 without a token', function (done) {
+    request({
+      service: 'turn'
+    }, {}, function (res) {
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+      assert.equal(res.body.code, 'token_missing');
+      done();
+    });
+  });
+
+  it('answers 401 for a token with a bad signature', function (done) {
+    request({}, {
+      authorization: 'Bearer ' + auth.sign({
+        sub: 'alice'
+      }, 'wrong-secret')
+    }, function (res) {
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.code, 'token_invalid');
+      done();
+    });
+  });
+
+  it('answers 403 for user IDs that would break the username', function (done) {
+    request({}, {
+      authorization: 'Bearer ' + auth.sign({
+        sub: 'alice:9999999999'
+      }, 'auth-secret')
+    }, function (res) {
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.code, 'invalid');
+
+      request({}, {
+        authorization: 'Bearer ' + auth.sign({
+          sub: new Array(258).join('a')
+        }, 'auth-secret')
+      }, function (res) {
+        assert.equal(res.statusCode, 403);
+        done();
+      });
+    });
+  });
+
+  it('issues credentials to the token subject, not the username asked for', function (done) {
+    request({
+      service: 'turn',
+      username: 'mallory'
+    }, {
+      authorization: 'Bearer ' + auth.sign({
+        sub: 'alice'
+      }, 'auth-secret')
+    }, function (res) {
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers['Cache-Control'], 'no-store');
+      assert.equal(res.body.username.split(':')[1], 'alice');
+      assert.equal(res.body.password, crypto.createHmac('sha1', secret).update(res.body.username).digest('base64'));
+      assert.equal(res.body.ttl, 600);
+      assert.deepEqual(res.body.uris, ['turn:turn.example.com:3478']);
+      done();
+    });
+  });
+
+  it('answers 400 for services other than turn', function (done) {
+    request({
+      service: 'stun'
+    }, {}, function (res) {
+      assert.equal(res.statusCode, 400);
+      done();
+    });
+  });
+});